@@ -0,0 +1,398 @@
+"use strict";
+
+const crypto = require('crypto');
+const dingo = require('./dingo');
+const feePolicy = require('./feePolicy.js');
+const got = require('got');
+const smartContract = require('./smartContract.js');
+
+// Client for the authority node routes, shared by the CLI, the authority daemon and frontends.
+//
+// Every route method runs against the given node indexes (default all) in parallel and resolves to
+// one result per node: { index, node, ok, data, message, error }, where data is the validated
+// response data, message is the full signed response, and error is { code, message } on failure.
+//
+// Routes marked [AUTHORITY] sign their requests with the loaded account and need dingod for the
+// timed signature, so they are only usable from authority nodes. Every timed message carries a
+// fresh nonce, which receiving nodes accept only once, and the request ID of the fan-out it
+// belongs to, shared by all nodes and retries.
+
+let authorityNodes = null;
+let authorityThreshold = null;
+let syncDelayThreshold = null;
+let requestTimeout = 10000;
+let requestRetries = 2;
+
+module.exports = {
+  load,
+  getAuthorityNodes,
+  getAuthorityLink,
+  post,
+  createRequestId,
+  createTimedAndSignedMessage,
+  validateTimedAndSignedMessage,
+  validateTimedAndSignedMessageOne,
+  thresholdConsensus,
+  request,
+  requestAll,
+
+  ping,
+  health,
+  generateDepositAddress,
+  registerMintDepositAddress,
+  queryMintBalance,
+  createMintTransaction,
+  queryBurnHistory,
+  submitWithdrawal,
+  registerNotification,
+  unregisterNotification,
+  stats,
+  reserves,
+  log,
+  computePendingPayouts,
+  computeUnspent,
+  approvePayouts,
+  approvePayoutsTest,
+  notifyPayoutBroadcast,
+  queryPayoutBatches,
+  queryTaxLedger,
+  signPayoutBatchRevert,
+  revertPayoutBatch,
+  signConfiguration,
+  createCoordinatorVote,
+  submitCoordinatorVotes,
+  dumpDatabase,
+  dingoDoesAHarakiri,
+
+  collectPendingPayouts,
+  collectUnspent
+};
+
+// dingoSettings is only required for timed messages, i.e. [AUTHORITY] routes.
+function load(publicSettings, dingoSettings, options) {
+  authorityNodes = publicSettings.authorityNodes;
+  authorityThreshold = publicSettings.authorityThreshold;
+  if (dingoSettings !== undefined && dingoSettings !== null) {
+    syncDelayThreshold = dingoSettings.syncDelayThreshold;
+  }
+  if (options !== undefined && options !== null) {
+    if (options.timeout !== undefined) {
+      requestTimeout = options.timeout;
+    }
+    if (options.retries !== undefined) {
+      requestRetries = options.retries;
+    }
+  }
+}
+
+function getAuthorityNodes() {
+  return authorityNodes;
+}
+
+function getAuthorityLink(x) {
+  return `https://${x.hostname}:${x.port}`;
+}
+
+// wtf js
+function isObject(x) {
+  return typeof x === 'object' && x !== null && !Array.isArray(x);
+}
+
+async function post(link, data, timeout=requestTimeout) {
+  const r = await got.post(
+    link,
+    {
+      json: data,
+      timeout: { request: timeout }
+    }).json();
+  return r;
+}
+
+function createRequestId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+async function createTimedAndSignedMessage(x, requestId=null) {
+  if (!isObject(x)) {
+    throw new Error(`Cannot sign non-object ${JSON.stringify(x)}`);
+  }
+  const blockchainInfo = await dingo.getBlockchainInfo();
+  x.valDingoHeight = blockchainInfo.blocks - syncDelayThreshold;
+  x.valDingoHash = await dingo.getBlockHash(blockchainInfo.blocks - syncDelayThreshold);
+  x.nonce = crypto.randomBytes(16).toString('hex');
+  x.requestId = requestId === null || requestId === undefined ? createRequestId() : requestId;
+  return smartContract.createSignedMessage(x);
+}
+
+async function validateTimedAndSignedMessage(x, walletAddress, discard=true) {
+  if (!isObject(x.data)) {
+    throw new Error('Data is non-object');
+  }
+  const blockchainInfo = await dingo.getBlockchainInfo();
+  if (x.data.valDingoHeight < blockchainInfo.blocks - 2 * syncDelayThreshold) {
+    throw new Error('Message expired');
+  }
+  if (x.data.valDingoHash !== await dingo.getBlockHash(x.data.valDingoHeight)) {
+    throw new Error('Verification failed: incorrect chain');
+  }
+  return smartContract.validateSignedMessage(x, walletAddress, discard);
+}
+
+async function validateTimedAndSignedMessageOne(x, walletAddresses, discard=true) {
+  if (!isObject(x.data)) {
+    throw new Error(`Data is non-object: ${JSON.stringify(x)}`);
+  }
+  const blockchainInfo = await dingo.getBlockchainInfo();
+  if (x.data.valDingoHeight < blockchainInfo.blocks - 2 * syncDelayThreshold) {
+    throw new Error('Message expired');
+  }
+  if (x.data.valDingoHash !== await dingo.getBlockHash(x.data.valDingoHeight)) {
+    throw new Error('Verification failed: incorrect chain');
+  }
+  return smartContract.validateSignedMessageOne(x, walletAddresses, discard);
+}
+
+// Keeps the entries reported identically by at least authorityThreshold nodes, in order of first report.
+function thresholdConsensus(reports, key) {
+  const counts = new Map();
+  for (const report of reports) {
+    for (const k of new Set(report.map(key))) {
+      counts.set(k, (counts.has(k) ? counts.get(k) : 0) + 1);
+    }
+  }
+  const result = [];
+  const added = new Set();
+  for (const report of reports) {
+    for (const x of report) {
+      const k = key(x);
+      if (counts.get(k) >= authorityThreshold && !added.has(k)) {
+        added.add(k);
+        result.push(x);
+      }
+    }
+  }
+  return result;
+}
+
+function getResultError(error) {
+  if (error.response) {
+    return { code: error.response.statusCode, message: error.response.body };
+  } else {
+    return { code: null, message: error.message };
+  }
+}
+
+function validateSigned(message, walletAddress) {
+  return smartContract.validateSignedMessage(message, walletAddress);
+}
+
+// Posts to a single node, retrying up to retries times only when the node could not be reached.
+// body may be a function of the request ID, so that signed requests are signed afresh (with a new
+// nonce) for every attempt. A node may have acted on a request which timed out, so routes which
+// change state are not retried.
+async function request(index, route, body, validate=validateSigned, requestId=createRequestId(), retries=requestRetries) {
+  const node = authorityNodes[index];
+  let message = undefined;
+  for (let attempt = 0; message === undefined; attempt++) {
+    try {
+      message = await post(`${getAuthorityLink(node)}/${route}`, typeof body === 'function' ? await body(requestId) : body);
+    } catch (error) {
+      if (error.response || attempt >= retries) {
+        return { index: index, node: node, ok: false, data: null, message: null, error: getResultError(error) };
+      }
+    }
+  }
+  try {
+    return { index: index, node: node, ok: true, data: await validate(message, node.walletAddress), message: message, error: null };
+  } catch (error) {
+    return { index: index, node: node, ok: false, data: null, message: message, error: getResultError(error) };
+  }
+}
+
+function requestAll(route, body, validate=validateSigned, indexes=null, retries=requestRetries) {
+  if (indexes === null || indexes === undefined) {
+    indexes = authorityNodes.map((x, i) => i);
+  }
+  const requestId = createRequestId();
+  return Promise.all(indexes.map((i) => request(i, route, body, validate, requestId, retries)));
+}
+
+function ping(indexes) {
+  return requestAll('ping', {}, validateSigned, indexes);
+}
+
+// The certificate and wallet checks are only reported if signed, i.e. to authority nodes.
+function health(indexes, signed=false) {
+  return requestAll('health', () => signed ? smartContract.createSignedMessage({ time: Date.now() }) : {}, validateSigned, indexes);
+}
+
+function generateDepositAddress(mintAddress, indexes) {
+  return requestAll('generateDepositAddress', { mintAddress: mintAddress }, validateSigned, indexes);
+}
+
+// generateDepositAddressResponses are the full signed messages from generateDepositAddress, one per node.
+function registerMintDepositAddress(mintAddress, generateDepositAddressResponses, indexes) {
+  return requestAll('registerMintDepositAddress', { mintAddress: mintAddress, generateDepositAddressResponses: generateDepositAddressResponses }, validateSigned, indexes);
+}
+
+function queryMintBalance(mintAddress, indexes) {
+  return requestAll('queryMintBalance', { mintAddress: mintAddress }, validateSigned, indexes);
+}
+
+function createMintTransaction(mintAddress, indexes) {
+  return requestAll('createMintTransaction', { mintAddress: mintAddress }, validateSigned, indexes);
+}
+
+function queryBurnHistory(burnAddress, indexes) {
+  return requestAll('queryBurnHistory', { burnAddress: burnAddress }, validateSigned, indexes);
+}
+
+function submitWithdrawal(burnAddress, burnIndex, indexes) {
+  return requestAll('submitWithdrawal', { burnAddress: burnAddress, burnIndex: burnIndex }, validateSigned, indexes);
+}
+
+function registerNotification(address, addressType, kind, target, indexes) {
+  return requestAll('registerNotification', { address: address, addressType: addressType, kind: kind, target: target }, validateSigned, indexes);
+}
+
+function unregisterNotification(subscriptionId, unsubscribeToken, indexes) {
+  return requestAll('unregisterNotification', { subscriptionId: subscriptionId, unsubscribeToken: unsubscribeToken }, validateSigned, indexes);
+}
+
+function stats(indexes) {
+  return requestAll('stats', {}, validateSigned, indexes);
+}
+
+function reserves(indexes) {
+  return requestAll('reserves', {}, validateSigned, indexes);
+}
+
+// [AUTHORITY] filters as in logger.query.
+function log(filters, indexes) {
+  return requestAll('log', (requestId) => createTimedAndSignedMessage({ filters: filters }, requestId), (x) => x, indexes);
+}
+
+// [AUTHORITY] feeHeight is the Dingo height whose fee policy applies to the payouts.
+function computePendingPayouts(processDeposits, processWithdrawals, feeHeight, indexes) {
+  return requestAll('computePendingPayouts',
+    (requestId) => createTimedAndSignedMessage({ processDeposits: processDeposits, processWithdrawals: processWithdrawals, feeHeight: feeHeight }, requestId),
+    validateTimedAndSignedMessage, indexes);
+}
+
+// [AUTHORITY]
+function computeUnspent(indexes) {
+  return requestAll('computeUnspent', (requestId) => createTimedAndSignedMessage({}, requestId), validateTimedAndSignedMessage, indexes);
+}
+
+// [AUTHORITY] payload holds depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, dustCredits, feeHeight, feeRate, unspent and approvalChain.
+function approvePayouts(payload, indexes) {
+  return requestAll('approvePayouts', (requestId) => createTimedAndSignedMessage(Object.assign({}, payload), requestId), validateTimedAndSignedMessage, indexes, 0);
+}
+
+// [AUTHORITY]
+function approvePayoutsTest(payload, indexes) {
+  return requestAll('approvePayoutsTest', (requestId) => createTimedAndSignedMessage(Object.assign({}, payload), requestId), validateTimedAndSignedMessage, indexes, 0);
+}
+
+// [AUTHORITY] approvalChain is the fully signed transaction which has been broadcasted.
+function notifyPayoutBroadcast(approvalChain, indexes) {
+  return requestAll('notifyPayoutBroadcast', (requestId) => createTimedAndSignedMessage({ approvalChain: approvalChain }, requestId), validateTimedAndSignedMessage, indexes, 0);
+}
+
+// query holds either id, inputs to find the latest batch spending them, burnAddress and burnIndex to
+// find the batch which paid a withdrawal, or limit.
+function queryPayoutBatches(query, indexes) {
+  return requestAll('queryPayoutBatches', query, validateSigned, indexes);
+}
+
+// Tax paid to each tax payee in the latest limit payout batches, and totals per tax payee.
+function queryTaxLedger(limit, indexes) {
+  return requestAll('queryTaxLedger', { limit: limit }, validateSigned, indexes);
+}
+
+// [AUTHORITY] inputs and vouts identify the batch, as reported by queryPayoutBatches. payoutBatchIds
+// holds the id of the batch on each node, by node index.
+function signPayoutBatchRevert(inputs, vouts, payoutBatchIds, indexes) {
+  return requestAll('signPayoutBatchRevert', (requestId) => createTimedAndSignedMessage({ inputs: inputs, vouts: vouts, payoutBatchIds: payoutBatchIds }, requestId), validateTimedAndSignedMessage, indexes);
+}
+
+// approvals are the full signed messages from signPayoutBatchRevert, from at least authorityThreshold nodes.
+function revertPayoutBatch(approvals, indexes) {
+  return requestAll('revertPayoutBatch', { approvals: approvals }, validateSigned, indexes, 0);
+}
+
+// [AUTHORITY] proposal holds configurationNonce, newAuthorityAddresses, newAuthorityThreshold and newMinBurnAmount.
+function signConfiguration(proposal, indexes) {
+  return requestAll('signConfiguration', (requestId) => createTimedAndSignedMessage(Object.assign({}, proposal), requestId), validateTimedAndSignedMessage, indexes);
+}
+
+// [AUTHORITY]
+function createCoordinatorVote(payoutCoordinator, indexes) {
+  return requestAll('createCoordinatorVote',
+    (requestId) => createTimedAndSignedMessage({ payoutCoordinator: payoutCoordinator }, requestId),
+    validateTimedAndSignedMessage, indexes);
+}
+
+// votes are the full signed messages from createCoordinatorVote.
+function submitCoordinatorVotes(votes, indexes) {
+  return requestAll('submitCoordinatorVotes', { votes: votes }, validateSigned, indexes);
+}
+
+// [AUTHORITY]
+function dumpDatabase(indexes) {
+  return requestAll('dumpDatabase', (requestId) => createTimedAndSignedMessage({}, requestId), (x) => x, indexes);
+}
+
+// [AUTHORITY]
+function dingoDoesAHarakiri(indexes) {
+  return requestAll('dingoDoesAHarakiri', (requestId) => createTimedAndSignedMessage({}, requestId), (x) => x, indexes, 0);
+}
+
+// [AUTHORITY] Retrieves pending payouts from all nodes, and keeps those agreed on by a threshold of nodes.
+// The network fee rate is chosen here, so feePolicy must be loaded.
+async function collectPendingPayouts(processDeposits, processWithdrawals) {
+  // All nodes compute fees at the same height, so that they agree across a fee policy change.
+  const feeHeight = (await dingo.getBlockchainInfo()).blocks - syncDelayThreshold;
+  const results = await computePendingPayouts(processDeposits, processWithdrawals, feeHeight);
+  const reports = results.filter((x) => x.ok).map((x) => x.data);
+  if (reports.length < authorityThreshold) {
+    throw new Error(`Only ${reports.length} nodes reported pending payouts, but ${authorityThreshold} are required`);
+  }
+
+  const depositTaxPayoutKey = (x) => `${x.depositAddress}|${x.amount}`;
+  const withdrawalPayoutKey = (x) => `${x.burnAddress}|${x.burnIndex}|${x.burnDestination}|${x.amount}`;
+  let withdrawalPayouts = processWithdrawals ? thresholdConsensus(reports.map((x) => x.withdrawalPayouts), withdrawalPayoutKey) : [];
+  let withdrawalTaxPayouts = processWithdrawals ? thresholdConsensus(reports.map((x) => x.withdrawalTaxPayouts), withdrawalPayoutKey) : [];
+  // Withdrawals and their taxes are validated pairwise, so keep only burns agreed on in both.
+  withdrawalPayouts = withdrawalPayouts.filter((x) => withdrawalTaxPayouts.some((y) => y.burnAddress === x.burnAddress && y.burnIndex === x.burnIndex));
+  withdrawalTaxPayouts = withdrawalPayouts.map((x) => withdrawalTaxPayouts.find((y) => y.burnAddress === x.burnAddress && y.burnIndex === x.burnIndex));
+
+  return {
+    results: results,
+    // Withdrawals which do not meet the tax at feeHeight, and are left pending.
+    skippedWithdrawals: processWithdrawals
+      ? thresholdConsensus(reports.map((x) => x.skippedWithdrawals === undefined ? [] : x.skippedWithdrawals), (x) => `${x.burnAddress}|${x.burnIndex}|${x.burnAmount}`)
+      : [],
+    payouts: {
+      depositTaxPayouts: processDeposits ? thresholdConsensus(reports.map((x) => x.depositTaxPayouts), depositTaxPayoutKey) : [],
+      withdrawalPayouts: withdrawalPayouts,
+      withdrawalTaxPayouts: withdrawalTaxPayouts,
+      dustCredits: thresholdConsensus(reports.map((x) => x.dustCredits), (x) => `${x.address}|${x.amount}`),
+      feeHeight: feeHeight,
+      feeRate: await feePolicy.chooseFeeRate(feeHeight)
+    }
+  };
+}
+
+// [AUTHORITY] Retrieves unspent from all nodes, and keeps those agreed on by a threshold of nodes.
+async function collectUnspent() {
+  const results = await computeUnspent();
+  const reports = results.filter((x) => x.ok).map((x) => x.data.unspent);
+  if (reports.length < authorityThreshold) {
+    throw new Error(`Only ${reports.length} nodes reported unspent, but ${authorityThreshold} are required`);
+  }
+  return {
+    results: results,
+    unspent: thresholdConsensus(reports, (x) => `${x.txid}|${x.vout}|${dingo.toSatoshi(x.amount.toString())}`)
+  };
+}
@@ -1,8 +1,16 @@
 "use strict";
 
+const authorityClient = require('./authorityClient.js');
 const express = require('express');
 const database = require('./database.js');
 const dingo = require('./dingo');
+const feePolicy = require('./feePolicy.js');
+const coinSelection = require('./coinSelection.js');
+const taxDistribution = require('./taxDistribution.js');
+const notifications = require('./notifications.js');
+const metrics = require('./metrics.js');
+const reserves = require('./reserves.js');
+const logger = require('./logger.js');
 const smartContract = require('./smartContract.js');
 const cors = require('cors');
 const crypto = require('crypto');
@@ -12,60 +20,28 @@ const { IPBlockedError, default: ipfilter } = require('express-ip-filter-middlew
 const morgan = require('morgan');
 const childProcess = require('child_process');
 const AsyncLock = require('async-lock');
-const util = require('util');
 const https = require('https');
 const tls = require('tls');
-const got = require('got');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 
 const LOCALHOST = '127.0.0.1';
-
-function getAuthorityLink(x) {
-  return `https://${x.hostname}:${x.port}`;
-}
-
-const FLAT_FEE = BigInt(dingo.toSatoshi('10'));
-const DUST_THRESHOLD = BigInt(dingo.toSatoshi('1'));
-const PAYOUT_NETWORK_FEE_PER_TX = BigInt(dingo.toSatoshi('20')); // Add this to network fee for each deposit / withdrawal.
-
-function meetsTax(x) {
-  return BigInt(x) >= FLAT_FEE;
-}
-
-function taxAmount(x) {
-  if (!meetsTax(x)) {
-    throw new Error('Amount fails to meet tax');
-  }
-  return (FLAT_FEE + (BigInt(x) - FLAT_FEE) / 100n).toString();
-}
-
-function amountAfterTax(x) {
-  if (!meetsTax(x)) {
-    throw new Error('Amount fails to meet tax');
-  }
-  return (BigInt(x) - (FLAT_FEE + (BigInt(x) - FLAT_FEE) / 100n)).toString();
-}
+const HEALTH_MAX_BSC_BLOCK_AGE = 60; // Seconds.
+const HEALTH_CERTIFICATE_WARNING_DAYS = 14;
+const HEALTH_DATABASE_WRITE_INTERVAL = 60; // Seconds.
+const HEALTH_REQUEST_MAX_AGE = 60; // Seconds.
 
 function asyncHandler(fn) {
   return async function (req, res) {
     try {
       return await fn(req, res);
     } catch (err) {
-      const stream = fs.createWriteStream("log.txt", {flags:'a'});
-      stream.write(`>>>>> ERROR START [${(new Date()).toUTCString()}] >>>>>\n`);
-      stream.write(err.stack + '\n' + req.path + '\n' + JSON.stringify(req.body, null, 2) + '\n');
-      stream.write('<<<<<< ERROR END <<<<<<\n');
-      stream.end();
+      metrics.countHandlerError(req.route.path);
+      logger.error('Request failed', { requestId: req.requestId, route: req.path, error: err, body: req.body });
       res.status(500).json(err.stack);
     }
   };
 }
 
-// wtf js
-function isObject(x) {
-  return typeof x === 'object' && x !== null && !Array.isArray(x);
-}
-
 (async function main() {
 
   // Load settings.
@@ -77,21 +53,20 @@ function isObject(x) {
   const privateSettings = JSON.parse(fs.readFileSync(`${settingsFolder}/private.DO_NOT_SHARE_THIS.json`));
   const dingoSettings = JSON.parse(fs.readFileSync(`${settingsFolder}/dingo.json`));
   const sslSettings = JSON.parse(fs.readFileSync(`${settingsFolder}/ssl.json`));
+  const logSettings = JSON.parse(fs.readFileSync(`${settingsFolder}/log.json`));
+  const notificationSettings = JSON.parse(fs.readFileSync(`${settingsFolder}/notifications.json`));
 
   // Initialize services.
+  logger.load(logSettings);
   smartContract.loadProvider(smartContractSettings.provider);
   smartContract.loadContract(smartContractSettings.contractAbi, smartContractSettings.contractAddress);
   smartContract.loadAccount(privateSettings.walletPrivateKey);
-  database.load(databaseSettings.databasePath);
-  async function post(link, data) {
-    const r = await got.post(
-      link,
-      {
-        json: data,
-        timeout: { request: 5000 }
-      }).json();
-    return r;
-  }
+  await database.load(databaseSettings);
+  feePolicy.load(dingoSettings.feePolicy);
+  taxDistribution.load(dingoSettings.taxPayees);
+  notifications.load(notificationSettings);
+  authorityClient.load(publicSettings, dingoSettings, { timeout: 10000, retries: 1 });
+  const { createTimedAndSignedMessage, validateTimedAndSignedMessage, validateTimedAndSignedMessageOne } = authorityClient;
 
   // DB write lock.
   const lock = new AsyncLock();
@@ -105,6 +80,8 @@ function isObject(x) {
     return statsLock.acquire('statsLock', fn);
   };
   let stats = null;
+  let pendingPayouts = null;
+  let pendingPayoutsTime = null;
 
   // Utility functions.
   const createIpFilter = (x) => ipfilter({
@@ -112,42 +89,56 @@ function isObject(x) {
     allow: x
   });
   const createRateLimit = (windowS, count) => rateLimit({ windowMs: windowS * 1000, max: count });
-  const createTimedAndSignedMessage = async (x) => {
-    if (!isObject(x)) {
-      throw new Error(`Cannot sign non-object ${JSON.stringify(x)}`);
-    }
-    const blockchainInfo = await dingo.getBlockchainInfo();
-    x.valDingoHeight = blockchainInfo.blocks - dingoSettings.syncDelayThreshold;
-    x.valDingoHash = await dingo.getBlockHash(blockchainInfo.blocks - dingoSettings.syncDelayThreshold);
-    return smartContract.createSignedMessage(x);
+
+  // Payout coordinator, as decided by the latest handover vote (defaults to public.json).
+  let coordinatorEpoch = 0;
+  let payoutCoordinator = publicSettings.payoutCoordinator;
+  const latestHandover = await database.getLatestCoordinatorHandover();
+  if (latestHandover !== null) {
+    coordinatorEpoch = latestHandover.epoch;
+    payoutCoordinator = latestHandover.payoutCoordinator;
   }
-  const validateTimedAndSignedMessage = async (x, walletAddress, discard=true) => {
-    if (!isObject(x.data)) {
-      throw new Error('Data is non-object');
-    }
-    const blockchainInfo = await dingo.getBlockchainInfo();
-    if (x.data.valDingoHeight < blockchainInfo.blocks - 2 * dingoSettings.syncDelayThreshold) {
-      throw new Error('Message expired');
-    }
-    if (x.data.valDingoHash !== await dingo.getBlockHash(x.data.valDingoHeight)) {
-      throw new Error('Verification failed: incorrect chain');
+  const getPayoutCoordinatorNode = () => {
+    return publicSettings.authorityNodes[payoutCoordinator];
+  };
+
+  // Replay protection: a timed request is accepted only once within its validity window, so its
+  // nonce is recorded until the message would have expired anyway.
+  const registerNonce = async (data, signer) => {
+    if (typeof data.nonce !== 'string' || !/^[0-9a-f]{32}$/.test(data.nonce)) {
+      throw new Error('Nonce missing or invalid');
     }
-    return smartContract.validateSignedMessage(x, walletAddress, discard);
-  }
-  const validateTimedAndSignedMessageOne = async (x, walletAddresses, discard=true) => {
-    if (!isObject(x.data)) {
-      throw new Error(`Data is non-object: ${JSON.stringify(x)}`);
+    if (typeof data.requestId !== 'string' || !/^[0-9a-f]{32}$/.test(data.requestId)) {
+      throw new Error('Request ID missing or invalid');
     }
     const blockchainInfo = await dingo.getBlockchainInfo();
-    if (x.data.valDingoHeight < blockchainInfo.blocks - 2 * dingoSettings.syncDelayThreshold) {
-      throw new Error('Message expired');
-    }
-    if (x.data.valDingoHash !== await dingo.getBlockHash(x.data.valDingoHeight)) {
-      throw new Error('Verification failed: incorrect chain');
+    await database.pruneMessageNonces(blockchainInfo.blocks - 2 * dingoSettings.syncDelayThreshold);
+    if (!(await database.registerMessageNonce(data.nonce, data.requestId, signer, data.valDingoHeight))) {
+      throw new Error('Message replayed');
     }
-    return smartContract.validateSignedMessageOne(x, walletAddresses, discard);
-  }
+  };
+  const validateTimedAndSignedRequest = async (x, walletAddress) => {
+    const data = await validateTimedAndSignedMessage(x, walletAddress);
+    await registerNonce(data, walletAddress);
+    return data;
+  };
+  const validateTimedAndSignedRequestOne = async (x, walletAddresses) => {
+    const data = await validateTimedAndSignedMessageOne(x, walletAddresses);
+    await registerNonce(data, walletAddresses.find((w) => smartContract.verify(JSON.stringify(x.data), x.signature, w)));
+    return data;
+  };
 
+  // Fees for user-facing routes follow the local (sync delayed) height. Payouts instead use the
+  // feeHeight chosen by the payout coordinator, so that all nodes apply the same fee policy.
+  const getFeeHeight = async () => {
+    return (await dingo.getBlockchainInfo()).blocks - dingoSettings.syncDelayThreshold;
+  };
+  const validateFeeHeight = async (feeHeight) => {
+    const blockchainInfo = await dingo.getBlockchainInfo();
+    if (!Number.isInteger(feeHeight) || feeHeight > blockchainInfo.blocks || feeHeight < blockchainInfo.blocks - 2 * dingoSettings.syncDelayThreshold) {
+      throw new Error('feeHeight missing or invalid');
+    }
+  };
 
   // Compute version on launch.
   const version = {
@@ -155,17 +146,134 @@ function isObject(x) {
     hash: childProcess.execSync('git rev-parse HEAD').toString().trim(),
     timestamp: parseInt(childProcess.execSync('git --no-pager log --pretty=format:"%at" -n1').toString().trim()) * 1000,
     clean: childProcess.execSync('git diff --stat').toString().trim() === '',
-    dingoVersion: await dingo.getClientVersion()
+    dingoVersion: await dingo.getClientVersion(),
+    schemaVersion: database.getSchemaVersion()
   };
 
   const app = express();
   app.use(cors());
   app.use(express.json());
+  app.use((req, res, next) => {
+    // Timed messages carry the request ID shared by all nodes serving the same client request.
+    const data = req.body === undefined || req.body === null ? undefined : req.body.data;
+    req.requestId = data !== undefined && data !== null && typeof data.requestId === 'string' && /^[0-9a-f]{32}$/.test(data.requestId)
+      ? data.requestId
+      : crypto.randomBytes(16).toString('hex');
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      // Unmatched paths share one label, so that scanners cannot blow up the number of series.
+      const route = req.route === undefined ? 'unmatched' : req.route.path;
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      metrics.observeRequest(route, req.method, res.statusCode, seconds);
+      logger.debug(`${req.method} ${req.path} ${res.statusCode}`, { requestId: req.requestId, route: req.path, status: res.statusCode, seconds: seconds });
+    });
+    next();
+  });
 
   app.post('/ping', createRateLimit(10, 10), asyncHandler(async (req, res) => {
     res.send(await createTimedAndSignedMessage({ timestamp: Date.now() }));
   }));
 
+  // Deep health check. Each check reports its own status (OK, WARN or FAIL) and detail, and the
+  // node is as healthy as its worst check. Checks which reveal the certificate expiry and the wallet
+  // state are only run for authority nodes, whose requests are signed with a recent time (without
+  // dingod, which may well be the dependency that is down).
+  const isRecentAuthorityRequest = (x) => {
+    try {
+      const data = smartContract.validateSignedMessageOne(x, publicSettings.authorityNodes.map((y) => y.walletAddress));
+      return Number.isInteger(data.time) && Math.abs(Date.now() - data.time) <= 1000 * HEALTH_REQUEST_MAX_AGE;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  // Writing takes the write lock, so the database is written on a timer rather than on each request.
+  let databaseWriteCheck = { time: null, error: 'Not yet written' };
+  const checkDatabaseWrite = async () => {
+    try {
+      await acquire(async () => await database.checkReadWrite());
+      databaseWriteCheck = { time: Date.now(), error: null };
+    } catch (err) {
+      databaseWriteCheck = { time: Date.now(), error: err.message };
+    }
+  };
+  checkDatabaseWrite();
+  setInterval(checkDatabaseWrite, 1000 * HEALTH_DATABASE_WRITE_INTERVAL);
+
+  const runHealthCheck = async (check) => {
+    try {
+      return await check();
+    } catch (err) {
+      return { status: 'FAIL', detail: err.message === undefined ? String(err) : err.message };
+    }
+  };
+  const healthChecks = {
+    dingod: async () => {
+      const blockchainInfo = await dingo.getBlockchainInfo();
+      const behind = blockchainInfo.headers - blockchainInfo.blocks;
+      if (behind > dingoSettings.syncDelayThreshold) {
+        return { status: 'WARN', detail: `Syncing, at block ${blockchainInfo.blocks} of ${blockchainInfo.headers}` };
+      }
+      return { status: 'OK', detail: `At block ${blockchainInfo.blocks}` };
+    },
+    bsc: async () => {
+      const blockNumber = await smartContract.getBlockNumber();
+      const age = Math.floor(Date.now() / 1000) - await smartContract.getBlockTimestamp(blockNumber);
+      if (age > HEALTH_MAX_BSC_BLOCK_AGE) {
+        return { status: 'WARN', detail: `Latest block ${blockNumber} is ${age}s old` };
+      }
+      return { status: 'OK', detail: `At block ${blockNumber}, ${age}s old` };
+    },
+    authorityAddresses: async () => {
+      const authorityAddresses = await smartContract.getAuthorityAddresses();
+      if (JSON.stringify(authorityAddresses) !== JSON.stringify(publicSettings.authorityNodes.map((x) => x.walletAddress))) {
+        return { status: 'FAIL', detail: 'Smart contract authorities differ from public.json' };
+      }
+      return { status: 'OK', detail: `${authorityAddresses.length} authorities match public.json` };
+    },
+    database: async () => {
+      const schemaVersion = await database.checkRead();
+      if (databaseWriteCheck.error !== null) {
+        return { status: 'FAIL', detail: `Write failed: ${databaseWriteCheck.error}` };
+      }
+      return { status: 'OK', detail: `Schema version ${schemaVersion}, written ${Math.floor((Date.now() - databaseWriteCheck.time) / 1000)}s ago` };
+    },
+    certificate: async () => {
+      const validTo = Date.parse(new crypto.X509Certificate(fs.readFileSync(sslSettings.certPath)).validTo);
+      const days = Math.floor((validTo - Date.now()) / (1000 * 60 * 60 * 24));
+      if (validTo <= Date.now()) {
+        return { status: 'FAIL', detail: `Expired on ${new Date(validTo).toUTCString()}` };
+      } else if (days < HEALTH_CERTIFICATE_WARNING_DAYS) {
+        return { status: 'WARN', detail: `Expires in ${days} days` };
+      }
+      return { status: 'OK', detail: `Expires in ${days} days` };
+    },
+    wallet: async () => {
+      // Payouts are signed by dingod, which cannot sign with a locked wallet.
+      const walletInfo = await dingo.getWalletInfo();
+      if (walletInfo.unlocked_until === undefined) {
+        return { status: 'OK', detail: 'Not encrypted' };
+      } else if (walletInfo.unlocked_until * 1000 <= Date.now()) {
+        return { status: 'FAIL', detail: 'Locked' };
+      }
+      return { status: 'OK', detail: `Unlocked until ${new Date(walletInfo.unlocked_until * 1000).toUTCString()}` };
+    }
+  };
+
+  const privateHealthChecks = ['certificate', 'wallet'];
+
+  app.post('/health', createRateLimit(10, 5), asyncHandler(async (req, res) => {
+    const names = isRecentAuthorityRequest(req.body)
+      ? Object.keys(healthChecks)
+      : Object.keys(healthChecks).filter((x) => !privateHealthChecks.includes(x));
+    const results = await Promise.all(names.map((x) => runHealthCheck(healthChecks[x])));
+    const checks = {};
+    names.forEach((x, i) => checks[x] = results[i]);
+    const status = ['FAIL', 'WARN', 'OK'].find((x) => results.some((y) => y.status === x));
+    // Signed without dingod, which may well be the dependency that is down.
+    res.send(smartContract.createSignedMessage({ time: Date.now(), status: status, checks: checks }));
+  }));
+
   app.post('/generateDepositAddress', createRateLimit(20, 1), asyncHandler(async (req, res) => {
     const data = req.body;
     const mintAddress = data.mintAddress;
@@ -201,9 +309,6 @@ function isObject(x) {
         throw new Error('At least one deposit address has been previously registered');
       }
 
-      // Register as previously used.
-      await database.registerUsedDepositAddresses(depositAddresses);
-
       // Compute multisigDepositAddress.
       const { address: multisigDepositAddress, redeemScript } = await dingo.createMultisig(
         publicSettings.authorityThreshold, depositAddresses
@@ -213,8 +318,11 @@ function isObject(x) {
       } catch (err) {
       }
 
-      // Register mintDepositAddress.
-      await database.registerMintDepositAddress(mintAddress, multisigDepositAddress, redeemScript);
+      // Register as previously used, and register mintDepositAddress.
+      await database.transaction(async () => {
+        await database.registerUsedDepositAddresses(depositAddresses);
+        await database.registerMintDepositAddress(mintAddress, multisigDepositAddress, redeemScript);
+      });
 
       res.send(await createTimedAndSignedMessage({
         depositAddress: multisigDepositAddress
@@ -222,6 +330,13 @@ function isObject(x) {
     });
   }));
 
+  // Deposit taxes already paid out are never minted, even if the fee policy has since lowered the tax.
+  const mintableAmount = async (depositAddress, depositedAmount, feeHeight) => {
+    const tax = BigInt(feePolicy.taxAmount('deposit', depositedAmount, feeHeight));
+    const approvedTax = BigInt((await database.getMintDepositAddresses([depositAddress]))[0].approvedTax);
+    return (BigInt(depositedAmount) - (tax > approvedTax ? tax : approvedTax)).toString();
+  };
+
   app.post('/queryMintBalance', createRateLimit(10, 10), asyncHandler(async (req, res) => {
     const data = req.body;
     const mintAddress = data.mintAddress;
@@ -238,9 +353,10 @@ function isObject(x) {
 
     // Retrieve deposited amount.
     const depositedAmount = dingo.toSatoshi((await dingo.getReceivedAmountByAddress(dingoSettings.depositConfirmations, depositAddress)).toString());
-    const depositedAmountAfterTax = meetsTax(depositedAmount) ? amountAfterTax(depositedAmount) : 0n;
+    const feeHeight = await getFeeHeight();
+    const depositedAmountAfterTax = feePolicy.meetsTax('deposit', depositedAmount, feeHeight) ? await mintableAmount(depositAddress, depositedAmount, feeHeight) : 0n;
     const unconfirmedAmount = dingo.toSatoshi((await dingo.getReceivedAmountByAddress(0, depositAddress)).toString()) - depositedAmount;
-    const unconfirmedAmountAfterTax = meetsTax(unconfirmedAmount) ? amountAfterTax(unconfirmedAmount) : 0n;
+    const unconfirmedAmountAfterTax = feePolicy.meetsTax('deposit', unconfirmedAmount, feeHeight) ? feePolicy.amountAfterTax('deposit', unconfirmedAmount, feeHeight) : 0n;
 
     // Retrieve minted amount.
     const {mintNonce, mintedAmount} = await smartContract.getMintHistory(mintAddress, depositAddress);
@@ -270,7 +386,7 @@ function isObject(x) {
 
     // Retrieve deposited amount.
     const depositedAmount = dingo.toSatoshi((await dingo.getReceivedAmountByAddress(dingoSettings.depositConfirmations, depositAddress)).toString());
-    const depositedAmountAfterTax = amountAfterTax(depositedAmount);
+    const depositedAmountAfterTax = await mintableAmount(depositAddress, depositedAmount, await getFeeHeight());
 
     // Retrieve minted amount.
     const {mintNonce, mintedAmount} = await smartContract.getMintHistory(mintAddress, depositAddress);
@@ -304,10 +420,38 @@ function isObject(x) {
     }
 
     const burnHistory = await smartContract.getBurnHistory(burnAddress);
+    const feeHeight = await getFeeHeight();
 
+    // Withdrawal lifecycle: SUBMITTED -> APPROVED -> BROADCAST -> CONFIRMED, or REJECTED if the
+    // burn cannot be submitted. Payout txid and confirmations are reported once broadcasted.
+    const confirmations = {};
     for (const i in burnHistory) {
+      burnHistory[i].payoutTxid = null;
+      burnHistory[i].confirmations = null;
       const w = await database.getWithdrawal(burnAddress, i);
-      burnHistory[i].status = w === null ? null : BigInt(w.approvedTax) === BigInt(0) ? "SUBMITTED" : "APPROVED";
+      if (w === null) {
+        // Burns which /submitWithdrawal refuses can never be paid out.
+        const rejected = !feePolicy.meetsTax('withdrawal', burnHistory[i].burnAmount, feeHeight) || !(await dingo.verifyAddress(burnHistory[i].burnDestination));
+        burnHistory[i].status = rejected ? "REJECTED" : null;
+      } else if (w.payoutBatchId === null && BigInt(w.approvedAmount) === BigInt(0) && BigInt(w.approvedTax) === BigInt(0)) {
+        // The withdrawal tax may be zero, so approval is told by the payout batch.
+        burnHistory[i].status = "SUBMITTED";
+      } else {
+        burnHistory[i].status = "APPROVED";
+        const batch = w.payoutBatchId === null ? null : await database.getPayoutBatch(w.payoutBatchId);
+        if (batch !== null && (batch.status === 'BROADCAST' || batch.status === 'CONFIRMED')) {
+          if (!(batch.txid in confirmations)) {
+            try {
+              confirmations[batch.txid] = (await dingo.getTransaction(batch.txid)).confirmations;
+            } catch (err) {
+              confirmations[batch.txid] = 0; // Not yet seen by this node's wallet.
+            }
+          }
+          burnHistory[i].status = confirmations[batch.txid] > 0 ? "CONFIRMED" : "BROADCAST";
+          burnHistory[i].payoutTxid = batch.txid;
+          burnHistory[i].confirmations = Math.max(confirmations[batch.txid], 0);
+        }
+      }
     }
 
     res.send(await createTimedAndSignedMessage({
@@ -315,6 +459,27 @@ function isObject(x) {
     }));
   }));
 
+  // Errors of registerWithdrawal which reject the withdrawal for good, as opposed to failures of
+  // dingod, BSC or the database, after which registering may be retried.
+  const withdrawalRejections = ['Withdrawal already submitted', 'Withdrawal address is not a valid Dingo address', 'Amount too little'];
+
+  // Must run inside the DB write lock. Shared by `/submitWithdrawal` and the burn watcher.
+  const registerWithdrawal = async (burnAddress, burnIndex) => {
+    if (await database.getWithdrawal(burnAddress, burnIndex) !== null) {
+      throw new Error('Withdrawal already submitted');
+    }
+
+    const { burnDestination, burnAmount } = await smartContract.getBurnHistory(burnAddress, burnIndex);
+    if (!(await dingo.verifyAddress(burnDestination))) {
+      throw new Error('Withdrawal address is not a valid Dingo address');
+    }
+    if (!feePolicy.meetsTax('withdrawal', burnAmount, await getFeeHeight())) {
+      throw new Error('Amount too little');
+    }
+
+    await database.registerWithdrawal(burnAddress, burnIndex);
+  };
+
   app.post('/submitWithdrawal', createRateLimit(1, 5), asyncHandler(async (req, res) => {
     const data = req.body;
     const burnAddress = data.burnAddress;
@@ -324,127 +489,330 @@ function isObject(x) {
     }
 
     await acquire(async () => {
-      if (await database.getWithdrawal(burnAddress, burnIndex) !== null) {
-        throw new Error('Withdrawal already submitted');
-      }
+      await registerWithdrawal(burnAddress, burnIndex);
+      res.send(await createTimedAndSignedMessage({}));
+    });
+  }));
 
-      const { burnDestination, burnAmount } = await smartContract.getBurnHistory(burnAddress, burnIndex);
-      if (!(await dingo.verifyAddress(burnDestination))) {
-        throw new Error('Withdrawal address is not a valid Dingo address');
+  // Current state of the addresses followed by the subscriptions, keyed by getNotificationKey (see notifications.js).
+  const getNotificationKey = (subscription) => `${subscription.addressType}|${subscription.address}`;
+  const computeNotificationStates = async (subscriptions) => {
+    const states = {};
+    const seen = await dingo.listReceivedByAddress(0);
+    const confirmed = await dingo.listReceivedByAddress(dingoSettings.depositConfirmations);
+    const feeHeight = await getFeeHeight();
+    const withdrawals = subscriptions.some((x) => x.addressType === 'BURN') ? await database.getWithdrawals() : [];
+    const payoutBatches = {};
+    for (const subscription of subscriptions) {
+      const key = getNotificationKey(subscription);
+      if (key in states) {
+        continue;
       }
-      if (burnAmount < FLAT_FEE) {
-        throw new Error('Amount too little');
+      if (subscription.addressType === 'MINT') {
+        const depositAddress = await database.getMintDepositAddress(subscription.address);
+        const seenAmount = depositAddress in seen ? dingo.toSatoshi(seen[depositAddress].amount.toString()) : 0;
+        const confirmedAmount = depositAddress in confirmed ? dingo.toSatoshi(confirmed[depositAddress].amount.toString()) : 0;
+        const depositedAmount = feePolicy.meetsTax('deposit', confirmedAmount, feeHeight) ? await mintableAmount(depositAddress, confirmedAmount, feeHeight) : 0n;
+        states[key] = {
+          depositAddress: depositAddress,
+          seenAmount: seenAmount.toString(),
+          confirmedAmount: confirmedAmount.toString(),
+          depositedAmount: depositedAmount.toString()
+        };
+      } else {
+        states[key] = { withdrawals: {} };
+        for (const w of withdrawals.filter((x) => x.burnAddress === subscription.address)) {
+          const state = { status: 'SUBMITTED', approvedAmount: w.approvedAmount, payoutBatchId: w.payoutBatchId, payoutTxid: null };
+          // Approved withdrawals belong to a payout batch, as their tax may be zero under the fee policy.
+          // Withdrawals approved before payout batches were recorded have none.
+          if (w.payoutBatchId !== null || BigInt(w.approvedAmount) !== 0n) {
+            state.status = 'APPROVED';
+            if (w.payoutBatchId !== null && !(w.payoutBatchId in payoutBatches)) {
+              payoutBatches[w.payoutBatchId] = await database.getPayoutBatch(w.payoutBatchId);
+            }
+            const batch = w.payoutBatchId === null ? null : payoutBatches[w.payoutBatchId];
+            if (batch !== null && (batch.status === 'BROADCAST' || batch.status === 'CONFIRMED')) {
+              state.status = 'PAID';
+              state.payoutTxid = batch.txid;
+            }
+          }
+          states[key].withdrawals[w.burnIndex] = state;
+        }
       }
+    }
+    return states;
+  };
 
-      await database.registerWithdrawal(burnAddress, burnIndex);
+  app.post('/registerNotification', createRateLimit(60, 5), asyncHandler(async (req, res) => {
+    const data = req.body;
+    if (!notifications.isEnabled()) {
+      throw new Error('Notifications not enabled on this node');
+    }
+    await notifications.validateSubscription(data.address, data.addressType, data.kind, data.target);
+    if (data.addressType === 'MINT' && await database.getMintDepositAddress(data.address) === null) {
+      throw new Error('Mint address not registered');
+    }
+    if (data.addressType === 'BURN' && await smartContract.getBurnCount(data.address, 'latest') === 0) {
+      throw new Error('Burn address has no burns');
+    }
 
-      res.send(await createTimedAndSignedMessage({}));
+    // Only changes from the current state are notified. The state is computed outside the write
+    // lock, as any changes since are notified by the next watch.
+    const subscription = {
+      address: data.address,
+      addressType: data.addressType,
+      kind: data.kind,
+      target: data.target,
+      unsubscribeToken: notifications.createUnsubscribeToken()
+    };
+    subscription.state = (await computeNotificationStates([subscription]))[getNotificationKey(subscription)];
+
+    await acquire(async () => {
+      if (await database.countNotificationSubscriptions() >= notifications.getMaxSubscriptions()) {
+        throw new Error('Too many subscriptions on this node');
+      }
+      if (await database.countNotificationSubscriptions(data.address) >= notifications.getMaxSubscriptionsPerAddress()) {
+        throw new Error('Too many subscriptions for address');
+      }
+      const subscriptionId = await database.createNotificationSubscription(subscription);
+      res.send(await createTimedAndSignedMessage({ subscriptionId: subscriptionId, unsubscribeToken: subscription.unsubscribeToken }));
     });
   }));
 
+  app.post('/unregisterNotification', createRateLimit(60, 5), asyncHandler(async (req, res) => {
+    const data = req.body;
+    const subscription = Number.isInteger(data.subscriptionId) ? await database.getNotificationSubscription(data.subscriptionId) : null;
+    if (subscription === null || subscription.unsubscribeToken !== data.unsubscribeToken) {
+      throw new Error('Subscription not found');
+    }
+    await acquire(async () => await database.deleteNotificationSubscription(subscription.id));
+    res.send(await createTimedAndSignedMessage({ subscriptionId: subscription.id }));
+  }));
+
   app.post('/log',
     createRateLimit(5, 1),
     asyncHandler(async (req, res) => {
-      const data = req.body;
-      await validateTimedAndSignedMessageOne(data, publicSettings.authorityNodes.map((x) => x.walletAddress));
-      res.send({ log: await util.promisify(fs.readFile)('log.txt', 'utf8') });
+      const data = await validateTimedAndSignedRequestOne(req.body, publicSettings.authorityNodes.map((x) => x.walletAddress));
+      res.send(logger.query(data.filters === undefined ? {} : data.filters));
     }));
 
+  // Balances of the change address and of all deposit addresses, for /stats and /reserves.
+  const computeUtxoBalances = async (changeConfirmations, depositConfirmations) => {
+    const depositAddresses = await database.getMintDepositAddresses();
+    const changeUtxos = await dingo.listUnspent(changeConfirmations, [dingoSettings.changeAddress]);
+    const depositUtxos = await dingo.listUnspent(depositConfirmations, depositAddresses.map((x) => x.depositAddress));
+    return {
+      totalChangeBalance: changeUtxos.reduce((a, b) => a + BigInt(dingo.toSatoshi(b.amount.toString())), 0n).toString(),
+      totalDepositsBalance: depositUtxos.reduce((a, b) => a + BigInt(dingo.toSatoshi(b.amount.toString())), 0n).toString()
+    };
+  };
+
+  // Stats are recomputed at most every 10 minutes, for /stats and /metrics. Must run inside the stats lock.
+  const refreshStats = async () => {
+    if (stats !== null && ((new Date()).getTime() - stats.time) < 1000 * 60 * 10) {
+      return;
+    }
+    stats = {
+      version: version,
+      time: (new Date()).getTime(),
+      publicSettings: publicSettings,
+      dingoSettings: dingoSettings,
+      smartContractSettings: {
+        provider: smartContractSettings.provider,
+        chainId: smartContractSettings.chainId,
+        contractAddress: smartContractSettings.contractAddress
+      },
+      feePolicy: {},
+      confirmedDeposits: {},
+      unconfirmedDeposits: {},
+      withdrawals: {},
+      dustCredits: {},
+      confirmedUtxos: {},
+      unconfirmedUtxos: {}
+    };
+
+    stats.publicSettings.walletAddress = smartContract.getAccountAddress()
+
+    // Fee policy, in effect and scheduled.
+    const feeHeight = await getFeeHeight();
+    stats.feePolicy.height = feeHeight;
+    stats.feePolicy.current = feePolicy.getSchedule().filter((x) => x.fromHeight <= feeHeight).pop();
+    stats.feePolicy.schedule = feePolicy.getSchedule();
+
+    // Process deposits.
+    const depositAddresses = await database.getMintDepositAddresses();
+    const computeDeposits = async (confirmations, output) => {
+      output.count = depositAddresses.length;
+      const depositedAmounts = await dingo.getReceivedAmountByAddresses(confirmations, depositAddresses.map((x) => x.depositAddress));
+      const totalDepositedAmount = Object.values(depositedAmounts).reduce((a, b) => a + BigInt(dingo.toSatoshi(b.toString())), 0n).toString();
+      const totalApprovableTax = Object.values(depositedAmounts).reduce((a, b) => {
+        const amount = BigInt(dingo.toSatoshi(b.toString()));
+        if (feePolicy.meetsTax('deposit', amount, feeHeight)) {
+          return a + BigInt(feePolicy.taxAmount('deposit', amount, feeHeight));
+        } else {
+          return a;
+        }
+      }, 0n).toString();
+      const totalApprovedTax = depositAddresses.reduce((a, b) => a + BigInt(b.approvedTax), 0n).toString();
+      const remainingApprovableTax = (BigInt(totalApprovableTax) - BigInt(totalApprovedTax)).toString();
+
+      output.totalDepositedAmount = totalDepositedAmount;
+      output.totalApprovableTax = totalApprovableTax;
+      output.totalApprovedTax = totalApprovedTax;
+      output.remainingApprovableTax = remainingApprovableTax;
+    };
+    await computeDeposits(dingoSettings.depositConfirmations, stats.confirmedDeposits);
+    await computeDeposits(0, stats.unconfirmedDeposits);
+
+    // Process withdrawals.
+    const withdrawals = await database.getWithdrawals();
+    stats.withdrawals.count = withdrawals.length;
+    const burnAmounts = withdrawals.length === 0
+      ? []
+      : (await smartContract.getBurnHistoryMultiple(withdrawals.map((x) => x.burnAddress), withdrawals.map((x) => x.burnIndex))).map((x) => x.burnAmount);
+    stats.withdrawals.totalBurnedAmount = burnAmounts.reduce((a, b) => a + BigInt(b.toString()), 0n).toString();
+    stats.withdrawals.totalApprovableAmount = 0n;
+    stats.withdrawals.totalApprovedAmount = withdrawals.reduce((a, b) => a + BigInt(b.approvedAmount), 0n).toString();
+    stats.withdrawals.totalApprovableTax = 0n;
+    stats.withdrawals.totalApprovedTax = withdrawals.reduce((a, b) => a + BigInt(b.approvedTax), 0n).toString();
+    for (const b of burnAmounts) {
+      if (feePolicy.meetsTax('withdrawal', b, feeHeight)) {
+        stats.withdrawals.totalApprovableAmount += BigInt(feePolicy.amountAfterTax('withdrawal', b, feeHeight));
+        stats.withdrawals.totalApprovableTax += BigInt(feePolicy.taxAmount('withdrawal', b, feeHeight));
+      }
+    }
+    stats.withdrawals.totalApprovableAmount = stats.withdrawals.totalApprovableAmount.toString();
+    stats.withdrawals.totalApprovableTax = stats.withdrawals.totalApprovableTax.toString();
+    stats.withdrawals.remainingApprovableAmount = (BigInt(stats.withdrawals.totalApprovableAmount) - BigInt(stats.withdrawals.totalApprovedAmount)).toString();
+    stats.withdrawals.remainingApprovableTax = (BigInt(stats.withdrawals.totalApprovableTax) - BigInt(stats.withdrawals.totalApprovedTax)).toString();
+
+    // Process dust credits.
+    const dustCredits = await database.getDustCredits();
+    stats.dustCredits.count = dustCredits.length;
+    stats.dustCredits.totalAmount = dustCredits.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
+    stats.dustCredits.credits = dustCredits;
+
+    // Process UTXOs.
+    Object.assign(stats.confirmedUtxos, await computeUtxoBalances(dingoSettings.changeConfirmations, dingoSettings.depositConfirmations));
+    Object.assign(stats.unconfirmedUtxos, await computeUtxoBalances(0, 0));
+  };
+
+  // Pending payouts are recomputed at most every 10 minutes, for /metrics only. Must run inside the stats lock.
+  const refreshPendingPayouts = async () => {
+    if (pendingPayouts !== null && Date.now() - pendingPayoutsTime < 1000 * 60 * 10) {
+      return;
+    }
+    pendingPayouts = await computePendingPayouts(true, true, await getFeeHeight());
+    pendingPayoutsTime = Date.now();
+  };
+
   app.post('/stats',
     createRateLimit(5, 1),
     asyncHandler(async (req, res) => {
-      acquireStats(async () => {
-        if (stats === null || ((new Date()).getTime() - stats.time) >= 1000 * 60 * 10) {
-          stats = {
-            version: version,
-            time: (new Date()).getTime(),
-            publicSettings: publicSettings,
-            dingoSettings: dingoSettings,
-            smartContractSettings: {
-              provider: smartContractSettings.provider,
-              chainId: smartContractSettings.chainId,
-              contractAddress: smartContractSettings.contractAddress
-            },
-            confirmedDeposits: {},
-            unconfirmedDeposits: {},
-            withdrawals: {},
-            confirmedUtxos: {},
-            unconfirmedUtxos: {}
-          };
-
-          stats.publicSettings.walletAddress = smartContract.getAccountAddress()
-
-          // Process deposits.
-          const depositAddresses = await database.getMintDepositAddresses();
-          const computeDeposits = async (confirmations, output) => {
-            output.count = depositAddresses.length;
-            const depositedAmounts = await dingo.getReceivedAmountByAddresses(confirmations, depositAddresses.map((x) => x.depositAddress));
-            const totalDepositedAmount = Object.values(depositedAmounts).reduce((a, b) => a + BigInt(dingo.toSatoshi(b.toString())), 0n).toString();
-            const totalApprovableTax = Object.values(depositedAmounts).reduce((a, b) => {
-              const amount = BigInt(dingo.toSatoshi(b.toString()));
-              if (meetsTax(amount)) {
-                return a + BigInt(taxAmount(amount));
-              } else {
-                return a;
-              }
-            }, 0n).toString();
-            const totalApprovedTax = depositAddresses.reduce((a, b) => a + BigInt(b.approvedTax), 0n).toString();
-            const remainingApprovableTax = (BigInt(totalApprovableTax) - BigInt(totalApprovedTax)).toString();
-
-            output.totalDepositedAmount = totalDepositedAmount;
-            output.totalApprovableTax = totalApprovableTax;
-            output.totalApprovedTax = totalApprovedTax;
-            output.remainingApprovableTax = remainingApprovableTax;
-          };
-          await computeDeposits(dingoSettings.depositConfirmations, stats.confirmedDeposits);
-          await computeDeposits(0, stats.unconfirmedDeposits);
-
-          // Process withdrawals.
-          const withdrawals = await database.getWithdrawals();
-          stats.withdrawals.count = withdrawals.length;
-          const burnAmounts = withdrawals.length === 0
-            ? []
-            : (await smartContract.getBurnHistoryMultiple(withdrawals.map((x) => x.burnAddress), withdrawals.map((x) => x.burnIndex))).map((x) => x.burnAmount);
-          stats.withdrawals.totalBurnedAmount = burnAmounts.reduce((a, b) => a + BigInt(b.toString()), 0n).toString();
-          stats.withdrawals.totalApprovableAmount = 0n;
-          stats.withdrawals.totalApprovedAmount = withdrawals.reduce((a, b) => a + BigInt(b.approvedAmount), 0n).toString();
-          stats.withdrawals.totalApprovableTax = 0n;
-          stats.withdrawals.totalApprovedTax = withdrawals.reduce((a, b) => a + BigInt(b.approvedTax), 0n).toString();
-          for (const b of burnAmounts) {
-            if (meetsTax(b)) {
-              stats.withdrawals.totalApprovableAmount += BigInt(amountAfterTax(b));
-              stats.withdrawals.totalApprovableTax += BigInt(taxAmount(b));
-            }
-          }
-          stats.withdrawals.totalApprovableAmount = stats.withdrawals.totalApprovableAmount.toString();
-          stats.withdrawals.totalApprovableTax = stats.withdrawals.totalApprovableTax.toString();
-          stats.withdrawals.remainingApprovableAmount = (BigInt(stats.withdrawals.totalApprovableAmount) - BigInt(stats.withdrawals.totalApprovedAmount)).toString();
-          stats.withdrawals.remainingApprovableTax = (BigInt(stats.withdrawals.totalApprovableTax) - BigInt(stats.withdrawals.totalApprovedTax)).toString();
-
-          // Process UTXOs.
-          const computeUtxos = async (changeConfirmations, depositConfirmations, output) => {
-            const changeUtxos = await dingo.listUnspent(changeConfirmations, [dingoSettings.changeAddress]);
-            const depositUtxos = await dingo.listUnspent(depositConfirmations, depositAddresses.map((x) => x.depositAddress));
-            output.totalChangeBalance = changeUtxos.reduce((a, b) => a + BigInt(dingo.toSatoshi(b.amount.toString())), 0n).toString();
-            output.totalDepositsBalance = depositUtxos.reduce((a, b) => a + BigInt(dingo.toSatoshi(b.amount.toString())), 0n).toString();
-          };
-          await computeUtxos(dingoSettings.changeConfirmations, dingoSettings.depositConfirmations, stats.confirmedUtxos);
-          await computeUtxos(0, 0, stats.unconfirmedUtxos);
-        }
+      await acquireStats(async () => {
+        await refreshStats();
+        stats.coordinator = await getCoordinatorState();
         res.send(await createTimedAndSignedMessage(stats));
       });
     })
   );
 
-  // Compute pending payouts:
-  // 1) Tax payouts from deposits (10 + 1%).
+  // Proof of reserves (see reserves.js), as published to wDingocoin holders.
+  app.post('/reserves', createRateLimit(5, 1), asyncHandler(async (req, res) => {
+    const totalSupply = await smartContract.getTotalSupply();
+    const { totalChangeBalance, totalDepositsBalance } = await computeUtxoBalances(dingoSettings.changeConfirmations, dingoSettings.depositConfirmations);
+
+    // The inputs of broadcasted payouts are spent, so their change counts until it is confirmed.
+    let unconfirmedPayoutChange = 0n;
+    for (const batch of await database.getPayoutBatchesByStatus('BROADCAST')) {
+      let confirmations = 0;
+      try {
+        confirmations = (await dingo.getTransaction(batch.txid)).confirmations;
+      } catch (err) {
+        // Not yet seen by this node's wallet.
+      }
+      if (confirmations >= 0 && confirmations < dingoSettings.changeConfirmations && dingoSettings.changeAddress in batch.vouts) {
+        unconfirmedPayoutChange += BigInt(dingo.toSatoshi(batch.vouts[dingoSettings.changeAddress]));
+      }
+    }
+
+    // Unapproved withdrawals are owed in full. Approved withdrawals and tax are owed until the
+    // payout transaction which approved them is broadcasted.
+    const unapprovedWithdrawals = await database.getUnapprovedWithdrawals();
+    let pendingWithdrawals = unapprovedWithdrawals.length === 0
+      ? 0n
+      : (await smartContract.getBurnHistoryMultiple(unapprovedWithdrawals.map((x) => x.burnAddress), unapprovedWithdrawals.map((x) => x.burnIndex)))
+        .reduce((a, b) => a + BigInt(b.burnAmount.toString()), 0n);
+    let unpaidTax = 0n;
+    for (const batch of await database.getPayoutBatchesByStatus('SIGNED')) {
+      for (const w of await database.getPayoutBatchWithdrawals(batch.id)) {
+        pendingWithdrawals += BigInt(w.approvedAmount);
+        unpaidTax += BigInt(w.approvedTax);
+      }
+      unpaidTax += (await database.getPayoutBatchDepositTaxes(batch.id)).reduce((a, b) => a + BigInt(b.amount), 0n);
+    }
+    const dustCredits = (await database.getDustCredits()).reduce((a, b) => a + BigInt(b.amount), 0n);
+
+    res.send(await createTimedAndSignedMessage(Object.assign({
+      time: Date.now(),
+      contractAddress: smartContractSettings.contractAddress,
+      changeAddress: dingoSettings.changeAddress
+    }, reserves.computeReserves(totalSupply, {
+      changeBalance: totalChangeBalance,
+      depositsBalance: totalDepositsBalance,
+      unconfirmedPayoutChange: unconfirmedPayoutChange
+    }, {
+      pendingWithdrawals: pendingWithdrawals,
+      unpaidTax: unpaidTax,
+      dustCredits: dustCredits
+    }))));
+  }));
+
+  // Prometheus metrics, for scraping from this host only.
+  app.get('/metrics',
+    createIpFilter([LOCALHOST]),
+    asyncHandler(async (req, res) => {
+      await acquireStats(async () => {
+        await refreshStats();
+        metrics.setStats(stats);
+        // Pending payouts need a BSC call per deposit address, which may fail without failing the scrape.
+        try {
+          await refreshPendingPayouts();
+          metrics.setPendingPayouts(pendingPayouts);
+        } catch (err) {
+          logger.warn('Pending payouts not computed for /metrics', { error: err });
+        }
+      });
+      const blockchainInfo = await dingo.getBlockchainInfo();
+      const peers = await dingo.getPeerInfo();
+      const peerHeight = peers.reduce((a, b) => Math.max(a, b.startingheight, b.synced_headers === undefined ? -1 : b.synced_headers), 0);
+      metrics.setDingoHeights(blockchainInfo.blocks, blockchainInfo.headers, peerHeight, peers.length);
+      res.set('Content-Type', metrics.getContentType());
+      res.send(await metrics.render());
+    }));
+
+  // Deposit tax which may be paid out, under the fee policy at feeHeight. Tax never eats into
+  // amounts already minted under an earlier, lower fee.
+  const approvableDepositTax = async (a, depositedAmount, feeHeight) => {
+    const tax = BigInt(feePolicy.taxAmount('deposit', depositedAmount, feeHeight));
+    const { mintedAmount } = await smartContract.getMintHistory(a.mintAddress, a.depositAddress);
+    const unminted = BigInt(depositedAmount) - BigInt(mintedAmount.toString());
+    return tax < unminted ? tax : unminted;
+  };
+
+  // Compute pending payouts, with fees as per the fee policy at feeHeight:
+  // 1) Tax payouts from deposits.
   // 2) Withdrawal payouts.
-  // 3) Tax payouts from withdrawals (10 + 1%).
-  const computePendingPayouts = async (processDeposits, processWithdrawals) => {
+  // 3) Tax payouts from withdrawals.
+  // 4) Dust credits, i.e. earlier payouts too small to be sent, which are carried forward.
+  // Withdrawals registered under an earlier fee policy may no longer meet the tax at feeHeight. They
+  // are reported as skipped, and stay pending until the fee policy allows them again.
+  const computePendingPayouts = async (processDeposits, processWithdrawals, feeHeight) => {
 
     const depositTaxPayouts = []; // Track which deposit taxes are being paid.
     const withdrawalPayouts = []; // Track which withdrawals are being paid.
     const withdrawalTaxPayouts = []; // Track which withdrawal taxes are being paid.
+    const skippedWithdrawals = []; // Track which withdrawals cannot be paid at feeHeight.
 
     // Compute tax from deposits.
     if (processDeposits) {
@@ -452,14 +820,13 @@ function isObject(x) {
       const nonEmptyMintDepositAddresses = (await database.getMintDepositAddresses(Object.keys(deposited)));
       for (const a of nonEmptyMintDepositAddresses) {
         const depositedAmount = dingo.toSatoshi(deposited[a.depositAddress].amount.toString());
-        if (meetsTax(depositedAmount)) {
+        if (feePolicy.meetsTax('deposit', depositedAmount, feeHeight)) {
           const approvedTax = BigInt(a.approvedTax);
-          const approvableTax = BigInt(taxAmount(depositedAmount));
+          const approvableTax = await approvableDepositTax(a, depositedAmount, feeHeight);
+          // Approved tax may exceed approvable after the fee policy lowers the tax; nothing is pending then.
           if (approvableTax > approvedTax) {
             const payoutAmount = approvableTax - approvedTax;
             depositTaxPayouts.push({ depositAddress: a.depositAddress, amount: payoutAmount.toString() });
-          } else if (approvableTax < approvedTax) {
-            throw new Error('Deposit approved tax exceeds approvable');
           }
         }
       }
@@ -478,17 +845,23 @@ function isObject(x) {
       }
       // Compute unapproved withdrawal payouts and tax from withdrawals.
       for (const i in burnDestinations) {
-        if (meetsTax(burnAmounts[i])) {
+        if (feePolicy.meetsTax('withdrawal', burnAmounts[i], feeHeight)) {
           withdrawalPayouts.push({
             burnAddress: burnAddresses[i],
             burnIndex: burnIndexes[i],
             burnDestination: burnDestinations[i],
-            amount: amountAfterTax(burnAmounts[i]).toString() });
+            amount: feePolicy.amountAfterTax('withdrawal', burnAmounts[i], feeHeight).toString() });
           withdrawalTaxPayouts.push({
             burnAddress: burnAddresses[i],
             burnIndex: burnIndexes[i],
             burnDestination: burnDestinations[i],
-            amount: taxAmount(burnAmounts[i]).toString() });
+            amount: feePolicy.taxAmount('withdrawal', burnAmounts[i], feeHeight).toString() });
+        } else {
+          skippedWithdrawals.push({
+            burnAddress: burnAddresses[i],
+            burnIndex: burnIndexes[i],
+            burnDestination: burnDestinations[i],
+            burnAmount: burnAmounts[i].toString() });
         }
       }
     }
@@ -496,22 +869,38 @@ function isObject(x) {
     return {
       depositTaxPayouts: depositTaxPayouts,
       withdrawalPayouts: withdrawalPayouts,
-      withdrawalTaxPayouts: withdrawalTaxPayouts
+      withdrawalTaxPayouts: withdrawalTaxPayouts,
+      dustCredits: await database.getDustCredits(),
+      skippedWithdrawals: skippedWithdrawals,
+      feeHeight: feeHeight
     };
   };
   app.post('/computePendingPayouts',
     createRateLimit(5, 1),
     asyncHandler(async (req, res) => {
-      const data = await validateTimedAndSignedMessageOne(req.body, publicSettings.authorityNodes.map((x) => x.walletAddress));
-      res.send(await createTimedAndSignedMessage(await computePendingPayouts(data.processDeposits, data.processWithdrawals)));
+      const data = await validateTimedAndSignedRequestOne(req.body, publicSettings.authorityNodes.map((x) => x.walletAddress));
+      await validateFeeHeight(data.feeHeight);
+      res.send(await createTimedAndSignedMessage(await computePendingPayouts(data.processDeposits, data.processWithdrawals, data.feeHeight), data.requestId));
     }));
 
-  const validatePayouts = async (depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts) => {
+  const validatePayouts = async (depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, dustCredits, feeHeight) => {
 
-    const totalTax = depositTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n) + withdrawalTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n);
-    const networkFee = BigInt(depositTaxPayouts.length + withdrawalPayouts.length) * PAYOUT_NETWORK_FEE_PER_TX;
-    if (totalTax < networkFee) {
-      throw new Error(`Insufficient tax to cover network fees of ${dingo.fromSatoshi(networkFee)}`);
+    // Check if requested dust credits do not exceed outstanding credits.
+    if (!Array.isArray(dustCredits)) {
+      throw new Error('dustCredits missing or invalid');
+    }
+    if (new Set(dustCredits.map((x) => x.address)).size !== dustCredits.length) {
+      throw new Error('Duplicate dust credit');
+    }
+    const outstandingDustCredits = {};
+    (await database.getDustCredits()).forEach((x) => outstandingDustCredits[x.address] = BigInt(x.amount));
+    for (const c of dustCredits) {
+      if (!(await dingo.verifyAddress(c.address))) {
+        throw new Error('Dust credit address is not a valid Dingo address');
+      }
+      if (BigInt(c.amount) <= 0n || !(c.address in outstandingDustCredits) || BigInt(c.amount) > outstandingDustCredits[c.address]) {
+        throw new Error('Requested dust credit more than outstanding');
+      }
     }
 
     // Check if requested tax from deposits does not exceed taxable.
@@ -527,11 +916,11 @@ function isObject(x) {
         throw new Error('Dingo address not registered');
       }
       const depositedAmount = dingo.toSatoshi(deposited[p.depositAddress].amount.toString());
-      if (!meetsTax(depositedAmount)) {
+      if (!feePolicy.meetsTax('deposit', depositedAmount, feeHeight)) {
         throw new Error('Deposited amount insufficient');
       }
       const approvedTax = BigInt(depositAddresses[p.depositAddress].approvedTax);
-      const approvableTax = BigInt(taxAmount(depositedAmount));
+      const approvableTax = await approvableDepositTax(depositAddresses[p.depositAddress], depositedAmount, feeHeight);
       if (BigInt(p.amount) + approvedTax > approvableTax) {
         throw new Error('Requested tax amount more than remaining approvable tax');
       }
@@ -552,7 +941,7 @@ function isObject(x) {
       if (withdrawal === null) {
         throw new Error('Withdrawal not registered');
       }
-      if (BigInt(withdrawal.approvedAmount) !== BigInt('0') || BigInt(withdrawal.approvedTax) !== BigInt('0')) {
+      if (withdrawal.payoutBatchId !== null || BigInt(withdrawal.approvedAmount) !== BigInt('0') || BigInt(withdrawal.approvedTax) !== BigInt('0')) {
         throw new Error('Withdrawal already approved');
       }
       const { burnDestination, burnAmount } = await smartContract.getBurnHistory(burnAddress, burnIndex);
@@ -562,10 +951,10 @@ function isObject(x) {
       if (withdrawalTaxPayouts[i].burnDestination !== burnDestination) {
         throw new Error('Withdrawal tax destination incorrect');
       }
-      if (BigInt(withdrawalPayouts[i].amount) !== BigInt(amountAfterTax(burnAmount))) {
+      if (BigInt(withdrawalPayouts[i].amount) !== BigInt(feePolicy.amountAfterTax('withdrawal', burnAmount, feeHeight))) {
         throw new Error('Withdrawal amount incorrect');
       }
-      if (BigInt(withdrawalTaxPayouts[i].amount) !== BigInt(taxAmount(burnAmount))) {
+      if (BigInt(withdrawalTaxPayouts[i].amount) !== BigInt(feePolicy.taxAmount('withdrawal', burnAmount, feeHeight))) {
         throw new Error('Withdrawal tax amount incorrect');
       }
     }
@@ -583,12 +972,17 @@ function isObject(x) {
   app.post('/computeUnspent',
     createRateLimit(5, 1),
     asyncHandler(async (req, res) => {
-      const data = await validateTimedAndSignedMessageOne(req.body, publicSettings.authorityNodes.map((x) => x.walletAddress));
-      res.send(await createTimedAndSignedMessage({ unspent: await computeUnspent() }));
+      const data = await validateTimedAndSignedRequestOne(req.body, publicSettings.authorityNodes.map((x) => x.walletAddress));
+      res.send(await createTimedAndSignedMessage({ unspent: await computeUnspent() }, data.requestId));
     }));
 
-  // Checks if UTXOs exist among deposits and change.
-  const validateUnspent = async (unspent) => {
+  // Selects the inputs of a payout transaction among candidate UTXOs.
+  const selectPayoutUnspent = (unspent, payouts) => {
+    return coinSelection.selectUnspent(unspent, coinSelection.getPayoutsAmount(payouts), dingoSettings.changeAddress, dingoSettings.coinSelection);
+  };
+
+  // Checks if candidate UTXOs exist among deposits and change, and reproduces the selection of inputs among them.
+  const validateUnspent = async (unspent, payouts) => {
     const _unspent = await computeUnspent();
 
     const hash = (x) => `${x.txid}|${x.vout}|${x.address}|${x.scriptPubKey}|${x.amount}`;
@@ -603,10 +997,23 @@ function isObject(x) {
         throw new Error('Non-existent UTXO');
       }
     }
+
+    return selectPayoutUnspent(unspent, payouts);
+  };
+
+  // Estimated size of the payout transaction, from which its network fee is computed.
+  const estimatePayoutSize = (withdrawalPayouts, dustCredits, unspent) => {
+    return coinSelection.estimatePayoutSize(withdrawalPayouts, dustCredits, unspent, taxDistribution.getTaxPayeeAddresses(), dingoSettings.changeAddress,
+      publicSettings.authorityThreshold, publicSettings.authorityNodes.length);
+  };
+  const computeNetworkFee = (withdrawalPayouts, dustCredits, unspent, feeRate) => {
+    return feePolicy.networkFeeAmount(estimatePayoutSize(withdrawalPayouts, dustCredits, unspent), feeRate);
   };
 
-  // Compute vouts for raw transaction from payouts and UTXOs.
-  const computeVouts = async (depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, unspent) => {
+  // Compute vouts for raw transaction from payouts and UTXOs, along with the tax paid to each tax payee
+  // and the changes to dust credits: vouts below the dust threshold are kept in change, and credited
+  // to their recipient to be paid out with a later payout.
+  const computeVouts = async (depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, dustCredits, unspent, feeHeight, feeRate) => {
 
     // Process withdrawal payouts.
     const vouts = {};
@@ -620,16 +1027,25 @@ function isObject(x) {
 
     // Compute tax payouts.
     const totalTax = depositTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n) + withdrawalTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n);
-    const networkFee = BigInt(depositTaxPayouts.length + withdrawalPayouts.length) * PAYOUT_NETWORK_FEE_PER_TX;
+    const networkFee = computeNetworkFee(withdrawalPayouts, dustCredits, unspent, feeRate);
     if (totalTax < networkFee) {
-      throw new Error(`Insufficient tax for network fee of ${networkFee}`);
+      throw new Error(`Insufficient tax for network fee of ${dingo.fromSatoshi(networkFee.toString())}`);
+    }
+    const taxPayouts = taxDistribution.distributeTax(totalTax - networkFee);
+    for (const p of taxPayouts) {
+      if (p.address in vouts) {
+        vouts[p.address] += BigInt(p.amount);
+      } else {
+        vouts[p.address] = BigInt(p.amount);
+      }
     }
-    const taxPayoutPerPayee = (totalTax - networkFee) / BigInt(dingoSettings.taxPayoutAddresses.length);
-    for (const a of dingoSettings.taxPayoutAddresses) {
-      if (a in vouts) {
-        vouts[a] += taxPayoutPerPayee;
+
+    // Pay out dust credits.
+    for (const c of dustCredits) {
+      if (c.address in vouts) {
+        vouts[c.address] += BigInt(c.amount);
       } else {
-        vouts[a] = taxPayoutPerPayee;
+        vouts[c.address] = BigInt(c.amount);
       }
     }
 
@@ -638,10 +1054,21 @@ function isObject(x) {
 
     // Compute change.
     const totalUnspent = unspent.reduce((a, b) => a + BigInt(dingo.toSatoshi(b.amount.toString())), BigInt(0));
-    const change = totalUnspent - totalPayout - networkFee; // Rounding errors from taxPayout / N is absorbed into change here.
+    let change = totalUnspent - totalPayout - networkFee;
     if (change < 0) {
       throw new Error('Insufficient funds');
     }
+
+    // Carry dust forward.
+    const dustCreditChanges = dustCredits.map((x) => { return { address: x.address, amount: (-BigInt(x.amount)).toString() }; });
+    for (const address of Object.keys(vouts)) {
+      if (address !== dingoSettings.changeAddress && vouts[address] > 0n && vouts[address] < feePolicy.getDustThreshold(feeHeight)) {
+        dustCreditChanges.push({ address: address, amount: vouts[address].toString() });
+        change += vouts[address];
+        delete vouts[address];
+      }
+    }
+
     if (change > 0) {
       if (dingoSettings.changeAddress in vouts) {
         vouts[dingoSettings.changeAddress] += change;
@@ -653,15 +1080,25 @@ function isObject(x) {
     // Convert to string.
     const voutsFinal = {};
     for (const address of Object.keys(vouts)) {
-      if (vouts[address] >= DUST_THRESHOLD) {
+      if (vouts[address] >= feePolicy.getDustThreshold(feeHeight)) {
         voutsFinal[address] = dingo.fromSatoshi(vouts[address].toString());
       }
     }
 
-    return voutsFinal;
+    // Tax paid to a tax payee includes its dust credits paid out.
+    const paidDustCredits = {};
+    dustCredits.forEach((x) => paidDustCredits[x.address] = BigInt(x.amount));
+    return {
+      vouts: voutsFinal,
+      taxPayouts: taxPayouts.filter((x) => x.address in voutsFinal).map((x) => {
+        return { address: x.address, amount: (BigInt(x.amount) + (x.address in paidDustCredits ? paidDustCredits[x.address] : 0n)).toString() };
+      }).filter((x) => BigInt(x.amount) > 0n),
+      dustCreditChanges: dustCreditChanges
+    };
   };
 
-  const applyPayouts = async (depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts) => {
+  // Must run inside a database transaction, so that payouts are applied entirely or not at all.
+  const applyPayouts = async (depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, payoutBatchId) => {
     const depositAddresses = {};
     (await database.getMintDepositAddresses(depositTaxPayouts.map((x) => x.depositAddress))).forEach((x) => depositAddresses[x.depositAddress] = x);
     for (const p of depositTaxPayouts) {
@@ -670,6 +1107,7 @@ function isObject(x) {
       depositAddresses[p.depositAddress].approvedTax = (previousTax + tax).toString();
     }
     await database.updateMintDepositAddresses(Object.values(depositAddresses));
+    await database.registerPayoutBatchDepositTaxes(payoutBatchId, depositTaxPayouts);
 
     const withdrawals = [];
     for (const i in withdrawalPayouts) {
@@ -680,26 +1118,42 @@ function isObject(x) {
       const tax = BigInt(withdrawalTaxPayouts[i].amount);
       withdrawal.approvedAmount = (previousApprovedAmount + amount).toString();
       withdrawal.approvedTax = (previousApprovedTax + tax).toString();
+      withdrawal.payoutBatchId = payoutBatchId;
       withdrawals.push(withdrawal);
     }
     await database.updateWithdrawals(withdrawals);
   };
 
+  // Payout batches are identified by the inputs they spend, as the txid changes with every signature.
+  const getPayoutBatchInputs = (unspent) => {
+    return unspent.map((x) => `${x.txid}:${x.vout}`).sort().join(',');
+  };
+
   const makeApprovePayoutsHandler = (test) => {
     return async (req, res) => {
       await acquire(async () => {
         // Extract info.
-        let { depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, unspent, approvalChain } =
-          await validateTimedAndSignedMessage(req.body, publicSettings.authorityNodes[publicSettings.payoutCoordinator].walletAddress);
-
-        // Validate unspent.
-        await validateUnspent(unspent);
+        let { depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, dustCredits, feeHeight, feeRate, unspent, approvalChain, requestId } =
+          await validateTimedAndSignedRequest(req.body, getPayoutCoordinatorNode().walletAddress);
+        await validateFeeHeight(feeHeight);
+        feePolicy.validateFeeRate(feeRate, feeHeight);
 
         // Validate payouts.
-        await validatePayouts(depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts);
+        await validatePayouts(depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, dustCredits, feeHeight);
 
-        // Compute vouts.
-        const vouts = await computeVouts(depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, unspent);
+        // Validate candidate unspent, and select inputs among them.
+        unspent = await validateUnspent(unspent, { depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, dustCredits });
+
+        // Compute vouts, within the limits of a single transaction.
+        const { vouts, taxPayouts, dustCreditChanges } =
+          await computeVouts(depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, dustCredits, unspent, feeHeight, feeRate);
+        const size = estimatePayoutSize(withdrawalPayouts, dustCredits, unspent);
+        if (size > dingoSettings.coinSelection.maxTransactionSize) {
+          throw new Error(`Payout transaction of ${size} bytes exceeds limit of ${dingoSettings.coinSelection.maxTransactionSize}`);
+        }
+        if (Object.keys(vouts).length > dingoSettings.coinSelection.maxOutputs) {
+          throw new Error(`Payout transaction of ${Object.keys(vouts).length} outputs exceeds limit of ${dingoSettings.coinSelection.maxOutputs}`);
+        }
 
         if (approvalChain === null) {
           approvalChain = await dingo.createRawTransaction(unspent, vouts);
@@ -709,12 +1163,35 @@ function isObject(x) {
         await dingo.verifyRawTransaction(unspent, vouts, approvalChain);
 
         if (!test) {
-          const approvalChainNext = await dingo.signRawTransaction(approvalChain);
-          await applyPayouts(depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts);
-          res.send(await createTimedAndSignedMessage({ approvalChain: approvalChainNext }));
+          // Record the batch before signing, so that every signed transaction can be traced.
+          const batch = {
+            status: 'PROPOSED',
+            inputs: getPayoutBatchInputs(unspent),
+            unspent: unspent,
+            vouts: vouts,
+            approvalChain: approvalChain,
+            txid: null
+          };
+          batch.id = await database.createPayoutBatch(batch);
+          try {
+            const { hex: approvalChainNext, complete } = await dingo.signRawTransaction(approvalChain);
+            await database.transaction(async () => {
+              await applyPayouts(depositTaxPayouts, withdrawalPayouts, withdrawalTaxPayouts, batch.id);
+              await database.registerPayoutBatchTaxPayouts(batch.id, taxPayouts);
+              await database.registerPayoutBatchDustCredits(batch.id, dustCreditChanges);
+              batch.status = 'SIGNED';
+              batch.approvalChain = approvalChainNext;
+              await database.updatePayoutBatch(batch);
+            });
+            res.send(await createTimedAndSignedMessage({ approvalChain: approvalChainNext, complete: complete }, requestId));
+          } catch (err) {
+            batch.status = 'FAILED';
+            await database.updatePayoutBatch(batch);
+            throw err;
+          }
         } else {
           await dingo.signRawTransaction(approvalChain);
-          res.send(await createTimedAndSignedMessage({ approvalChain: approvalChain }));
+          res.send(await createTimedAndSignedMessage({ approvalChain: approvalChain, complete: false }, requestId));
         }
       });
     };
@@ -724,22 +1201,370 @@ function isObject(x) {
   app.post('/approvePayoutsTest',
     asyncHandler(makeApprovePayoutsHandler(true)));
 
+  // Records the broadcast of a fully signed payout batch, as reported by the payout coordinator.
+  app.post('/notifyPayoutBroadcast',
+    createRateLimit(5, 5),
+    asyncHandler(async (req, res) => {
+      const { approvalChain, requestId } = await validateTimedAndSignedRequest(req.body, getPayoutCoordinatorNode().walletAddress);
+      await acquire(async () => {
+        const tx = await dingo.decodeRawTranscation(approvalChain);
+        const batch = await database.getPayoutBatchByInputs(getPayoutBatchInputs(tx.vin));
+        if (batch === null) {
+          throw new Error('Payout batch not found');
+        }
+        await dingo.verifyRawTransaction(batch.unspent, batch.vouts, approvalChain);
+        if (batch.status === 'PROPOSED' || batch.status === 'SIGNED') {
+          batch.status = 'BROADCAST';
+          batch.approvalChain = approvalChain;
+          batch.txid = tx.txid;
+          await database.updatePayoutBatch(batch);
+          logger.info(`Payout batch ${batch.id}: broadcasted ${batch.txid}`, { requestId: req.requestId, route: req.path });
+        } else if (batch.txid !== tx.txid) {
+          throw new Error(`Payout batch already ${batch.status}`);
+        }
+        res.send(await createTimedAndSignedMessage({ payoutBatchId: batch.id, status: batch.status, txid: batch.txid }, requestId));
+      });
+    }));
+
+  // Payout batch revert: a batch which was signed but never made it onto the chain can be rolled
+  // back once authorityThreshold nodes have approved reverting it. Approvals name the batch by its
+  // inputs and vouts, and by the id it has on each node, as batch ids differ between nodes. The ids
+  // keep approvals from reverting a later batch which spends the same inputs to the same vouts.
+  const validatePayoutBatchRevert = async (inputs, vouts, payoutBatchIds) => {
+    if (typeof inputs !== 'string' || inputs.length === 0) {
+      throw new Error('inputs missing or invalid');
+    }
+    if (!Array.isArray(payoutBatchIds) || payoutBatchIds.length !== publicSettings.authorityNodes.length
+      || !payoutBatchIds.every((x) => x === null || Number.isInteger(x))) {
+      throw new Error('payoutBatchIds missing or invalid');
+    }
+    const batch = await database.getPayoutBatchByInputs(inputs);
+    if (batch === null) {
+      throw new Error('Payout batch not found');
+    }
+    const ownIndex = publicSettings.authorityNodes.findIndex((x) => x.walletAddress.toLowerCase() === smartContract.getAccountAddress().toLowerCase());
+    if (payoutBatchIds[ownIndex] !== batch.id) {
+      throw new Error(`Payout batch id mismatch: expected ${batch.id}, got ${payoutBatchIds[ownIndex]}`);
+    }
+    if (!['PROPOSED', 'SIGNED', 'BROADCAST'].includes(batch.status)) {
+      throw new Error(`Payout batch already ${batch.status}`);
+    }
+    if (JSON.stringify(vouts) !== JSON.stringify(batch.vouts)) {
+      throw new Error('Payout batch vouts mismatch');
+    }
+    for (const x of batch.unspent) {
+      if (await dingo.getTxOut(x.txid, x.vout) === null) {
+        throw new Error(`Payout batch input ${x.txid}:${x.vout} already spent`);
+      }
+    }
+    // Dust credits carried forward by the batch may have been paid out since by a later batch, which
+    // must be reverted first.
+    const outstandingDustCredits = {};
+    (await database.getDustCredits()).forEach((x) => outstandingDustCredits[x.address] = BigInt(x.amount));
+    for (const c of await database.getPayoutBatchDustCredits(batch.id)) {
+      const outstanding = (c.address in outstandingDustCredits ? outstandingDustCredits[c.address] : 0n) - BigInt(c.amount);
+      if (outstanding < 0n) {
+        throw new Error(`Dust credit of ${c.address} from payout batch ${batch.id} already paid out by a later batch, which must be reverted first`);
+      }
+      outstandingDustCredits[c.address] = outstanding;
+    }
+    return batch;
+  };
+  app.post('/signPayoutBatchRevert',
+    createRateLimit(5, 5),
+    asyncHandler(async (req, res) => {
+      const { inputs, vouts, payoutBatchIds, requestId } = await validateTimedAndSignedRequestOne(req.body, publicSettings.authorityNodes.map((x) => x.walletAddress));
+      await validatePayoutBatchRevert(inputs, vouts, payoutBatchIds);
+      res.send(await createTimedAndSignedMessage({ inputs: inputs, vouts: vouts, payoutBatchIds: payoutBatchIds }, requestId));
+    }));
+  app.post('/revertPayoutBatch',
+    createRateLimit(5, 5),
+    asyncHandler(async (req, res) => {
+      const data = req.body;
+      if (!Array.isArray(data.approvals) || data.approvals.length === 0) {
+        throw new Error('approvals missing or invalid');
+      }
+
+      // Approvals are shared between nodes, so each node records their nonces once it reverts.
+      const approvers = new Set();
+      const approvalsData = [];
+      const { inputs, vouts, payoutBatchIds } = data.approvals[0].data;
+      for (const approval of data.approvals) {
+        const approvalData = await validateTimedAndSignedMessageOne(approval, publicSettings.authorityNodes.map((x) => x.walletAddress));
+        if (approvalData.inputs !== inputs || JSON.stringify(approvalData.vouts) !== JSON.stringify(vouts)
+          || JSON.stringify(approvalData.payoutBatchIds) !== JSON.stringify(payoutBatchIds)) {
+          throw new Error('Approvals are for different payout batches');
+        }
+        const approver = publicSettings.authorityNodes.findIndex((x) => smartContract.verify(JSON.stringify(approval.data), approval.signature, x.walletAddress));
+        approvers.add(approver);
+        approvalsData.push({ data: approvalData, signer: publicSettings.authorityNodes[approver].walletAddress });
+      }
+      if (approvers.size < publicSettings.authorityThreshold) {
+        throw new Error(`Only ${approvers.size} nodes approved, but ${publicSettings.authorityThreshold} are required`);
+      }
+
+      await acquire(async () => {
+        const batch = await validatePayoutBatchRevert(inputs, vouts, payoutBatchIds);
+        for (const x of approvalsData) {
+          await registerNonce(x.data, x.signer);
+        }
+        await database.revertPayoutBatch(batch.id);
+
+        // Stop the payout scheduler from resuming, or waiting on, the reverted run.
+        const runs = (await database.getPayoutRunsByStatus('APPROVING')).filter((x) => {
+          return getPayoutBatchInputs(selectPayoutUnspent(x.unspent, x.payouts)) === batch.inputs;
+        });
+        const broadcastRun = batch.txid === null ? null : await database.getPayoutRunByTxid(batch.txid);
+        if (broadcastRun !== null) {
+          runs.push(broadcastRun);
+        }
+        for (const run of runs) {
+          run.status = 'REVERTED';
+          await database.updatePayoutRun(run);
+        }
+
+        logger.info(`Payout batch ${batch.id}: reverted with approvals from nodes ${Array.from(approvers).join(', ')}`, { requestId: req.requestId, route: req.path });
+        res.send(await createTimedAndSignedMessage({ payoutBatchId: batch.id, status: 'REVERTED' }));
+      });
+    }));
+
+  const getPayoutBatchDetails = async (batch) => {
+    return {
+      id: batch.id,
+      createTime: batch.createTime,
+      updateTime: batch.updateTime,
+      status: batch.status,
+      inputs: batch.inputs,
+      unspent: batch.unspent,
+      vouts: batch.vouts,
+      txid: batch.txid,
+      depositTaxes: await database.getPayoutBatchDepositTaxes(batch.id),
+      taxPayouts: await database.getPayoutBatchTaxPayouts(batch.id),
+      dustCredits: await database.getPayoutBatchDustCredits(batch.id),
+      withdrawals: await database.getPayoutBatchWithdrawals(batch.id)
+    };
+  };
+  app.post('/queryPayoutBatches', createRateLimit(10, 10), asyncHandler(async (req, res) => {
+    const data = req.body;
+    let batches = null;
+    if (data.id !== undefined) {
+      if (!Number.isInteger(data.id)) {
+        throw new Error('id invalid');
+      }
+      const batch = await database.getPayoutBatch(data.id);
+      batches = batch === null ? [] : [batch];
+    } else if (data.inputs !== undefined) {
+      if (typeof data.inputs !== 'string' || data.inputs.length === 0) {
+        throw new Error('inputs invalid');
+      }
+      const batch = await database.getPayoutBatchByInputs(data.inputs);
+      batches = batch === null ? [] : [batch];
+    } else if (data.burnAddress !== undefined) {
+      if (!smartContract.isAddress(data.burnAddress)) {
+        throw new Error('burnAddress missing or invalid');
+      }
+      if (!Number.isInteger(data.burnIndex) || data.burnIndex < 0) {
+        throw new Error('burnIndex missing or invalid');
+      }
+      const batch = await database.getPayoutBatchByWithdrawal(data.burnAddress, data.burnIndex);
+      batches = batch === null ? [] : [batch];
+    } else {
+      const limit = data.limit === undefined ? 10 : data.limit;
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new Error('limit invalid');
+      }
+      batches = await database.getPayoutBatches(limit);
+    }
+
+    const payoutBatches = [];
+    for (const batch of batches) {
+      payoutBatches.push(await getPayoutBatchDetails(batch));
+    }
+    res.send(await createTimedAndSignedMessage({
+      payoutBatches: payoutBatches
+    }));
+  }));
+
+  // Tax ledger for operator accounting: tax paid to each tax payee in the latest payout batches,
+  // and totals per tax payee over all batches. Taxes of signed batches count as pending until broadcasted.
+  app.post('/queryTaxLedger', createRateLimit(10, 10), asyncHandler(async (req, res) => {
+    const data = req.body;
+    const limit = data.limit === undefined ? 10 : data.limit;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error('limit invalid');
+    }
+
+    const totals = {};
+    for (const x of taxDistribution.getTaxPayees()) {
+      totals[x.address] = { address: x.address, weight: x.weight, paid: 0n, pending: 0n };
+    }
+    for (const x of await database.getTaxLedger()) {
+      if (!(x.address in totals)) {
+        totals[x.address] = { address: x.address, weight: 0, paid: 0n, pending: 0n }; // No longer a tax payee.
+      }
+      if (x.status === 'BROADCAST' || x.status === 'CONFIRMED') {
+        totals[x.address].paid += BigInt(x.amount);
+      } else if (x.status === 'SIGNED') {
+        totals[x.address].pending += BigInt(x.amount);
+      }
+    }
+
+    res.send(await createTimedAndSignedMessage({
+      entries: await database.getTaxLedger(limit),
+      totals: Object.values(totals).map((x) => {
+        return { address: x.address, weight: x.weight, paid: x.paid.toString(), pending: x.pending.toString() };
+      })
+    }));
+  }));
+
+  // Checks a proposed smart contract configuration against local policy.
+  const validateConfiguration = async (newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount) => {
+    const policy = smartContractSettings.configurationPolicy;
+    if (!Array.isArray(newAuthorityAddresses) || newAuthorityAddresses.length === 0) {
+      throw new Error('newAuthorityAddresses missing or invalid');
+    }
+    if (!newAuthorityAddresses.every((x) => smartContract.isAddress(x))) {
+      throw new Error('newAuthorityAddresses contains invalid address');
+    }
+    if (new Set(newAuthorityAddresses.map((x) => x.toLowerCase())).size !== newAuthorityAddresses.length) {
+      throw new Error('newAuthorityAddresses contains duplicate address');
+    }
+    if (!Number.isInteger(newAuthorityThreshold) || newAuthorityThreshold > newAuthorityAddresses.length) {
+      throw new Error('newAuthorityThreshold missing or invalid');
+    }
+    if (newAuthorityThreshold * 2 <= newAuthorityAddresses.length) {
+      throw new Error('newAuthorityThreshold must be a majority of newAuthorityAddresses');
+    }
+    if (newAuthorityThreshold < policy.minAuthorityThreshold) {
+      throw new Error(`newAuthorityThreshold below policy minimum of ${policy.minAuthorityThreshold}`);
+    }
+    if (typeof newMinBurnAmount !== 'string' || !/^[0-9]+$/.test(newMinBurnAmount)) {
+      throw new Error('newMinBurnAmount missing or invalid');
+    }
+    if (!feePolicy.meetsTax('withdrawal', newMinBurnAmount, await getFeeHeight())) {
+      throw new Error('newMinBurnAmount fails to meet tax');
+    }
+    if (BigInt(newMinBurnAmount) > BigInt(policy.maxMinBurnAmount)) {
+      throw new Error(`newMinBurnAmount above policy maximum of ${dingo.fromSatoshi(policy.maxMinBurnAmount)}`);
+    }
+    if (!policy.allowSelfRemoval && !newAuthorityAddresses.map((x) => x.toLowerCase()).includes(smartContract.getAccountAddress().toLowerCase())) {
+      throw new Error('Policy disallows removal of this authority');
+    }
+  };
+  app.post('/signConfiguration',
+    createRateLimit(5, 1),
+    asyncHandler(async (req, res) => {
+      const { configurationNonce, newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount, requestId } =
+        await validateTimedAndSignedRequest(req.body, getPayoutCoordinatorNode().walletAddress);
+
+      // Nonce is read from the contract so that signatures cannot be reused after a configuration change.
+      const currentConfigurationNonce = (await smartContract.getConfigurationNonce()).toString();
+      if (configurationNonce !== currentConfigurationNonce) {
+        throw new Error(`Configuration nonce mismatch (contract is at ${currentConfigurationNonce})`);
+      }
+
+      await validateConfiguration(newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount);
+
+      const signature = smartContract.signConfigure(smartContractSettings.chainId, configurationNonce, newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount);
+
+      res.send(await createTimedAndSignedMessage({
+        configurationNonce: configurationNonce,
+        newAuthorityAddresses: newAuthorityAddresses,
+        newAuthorityThreshold: newAuthorityThreshold,
+        newMinBurnAmount: newMinBurnAmount,
+        onContractVerification: {
+          v: signature.v,
+          r: signature.r,
+          s: signature.s
+        }
+      }, requestId));
+    }));
+
+  // Coordinator handover: each node signs a vote for the next coordinator epoch, and every node
+  // switches once authorityThreshold votes for the same coordinator have been collected.
+  const getCoordinatorState = async () => {
+    const pendingVotes = await database.getCoordinatorVotes(coordinatorEpoch + 1);
+    return {
+      coordinatorEpoch: coordinatorEpoch,
+      payoutCoordinator: payoutCoordinator,
+      pendingVotes: pendingVotes.map((x) => { return { voterIndex: x.voterIndex, payoutCoordinator: x.payoutCoordinator }; })
+    };
+  };
+  app.post('/createCoordinatorVote',
+    createRateLimit(5, 1),
+    asyncHandler(async (req, res) => {
+      // Only the operator of this node may cast its vote.
+      const data = await validateTimedAndSignedRequest(req.body, smartContract.getAccountAddress());
+      if (!Number.isInteger(data.payoutCoordinator) || data.payoutCoordinator < 0 || data.payoutCoordinator >= publicSettings.authorityNodes.length) {
+        throw new Error('payoutCoordinator missing or invalid');
+      }
+      res.send(await createTimedAndSignedMessage({
+        coordinatorEpoch: coordinatorEpoch + 1,
+        payoutCoordinator: data.payoutCoordinator
+      }, data.requestId));
+    }));
+  app.post('/submitCoordinatorVotes',
+    createRateLimit(5, 5),
+    asyncHandler(async (req, res) => {
+      const data = req.body;
+      if (!Array.isArray(data.votes)) {
+        throw new Error('votes missing or invalid');
+      }
+
+      await acquire(async () => {
+        for (const vote of data.votes) {
+          let voteData = null;
+          try {
+            voteData = await validateTimedAndSignedMessageOne(vote, publicSettings.authorityNodes.map((x) => x.walletAddress));
+          } catch (err) {
+            continue; // Expired or forged votes are dropped, as votes are rebroadcasted between nodes.
+          }
+          if (voteData.coordinatorEpoch !== coordinatorEpoch + 1) {
+            continue;
+          }
+          if (!Number.isInteger(voteData.payoutCoordinator) || voteData.payoutCoordinator < 0 || voteData.payoutCoordinator >= publicSettings.authorityNodes.length) {
+            continue;
+          }
+          const voterIndex = publicSettings.authorityNodes.findIndex((x) => smartContract.verify(JSON.stringify(vote.data), vote.signature, x.walletAddress));
+          await database.registerCoordinatorVote(voteData.coordinatorEpoch, voterIndex, voteData.payoutCoordinator, vote);
+        }
+
+        // Tally votes for the next epoch.
+        const votes = await database.getCoordinatorVotes(coordinatorEpoch + 1);
+        for (const i in publicSettings.authorityNodes) {
+          if (votes.filter((x) => x.payoutCoordinator === parseInt(i)).length >= publicSettings.authorityThreshold) {
+            await database.registerCoordinatorHandover(coordinatorEpoch + 1, parseInt(i));
+            coordinatorEpoch += 1;
+            payoutCoordinator = parseInt(i);
+            logger.info(`Payout coordinator handed over to node ${payoutCoordinator} (epoch ${coordinatorEpoch})`, { requestId: req.requestId, route: req.path });
+            break;
+          }
+        }
+
+        res.send(await createTimedAndSignedMessage({
+          coordinatorEpoch: coordinatorEpoch,
+          payoutCoordinator: payoutCoordinator,
+          pendingVotes: (await database.getCoordinatorVotes(coordinatorEpoch + 1)).map((x) => x.vote)
+        }));
+      });
+    }));
+
   app.post('/dumpDatabase',
-    async (req, res) => {
+    asyncHandler(async (req, res) => {
       const data = req.body;
-      await validateTimedAndSignedMessageOne(data, publicSettings.authorityNodes.map((x) => x.walletAddress));
-      res.send({ sql: await database.dump(databaseSettings.databasePath) });
-    });
+      await validateTimedAndSignedRequestOne(data, publicSettings.authorityNodes.map((x) => x.walletAddress));
+      res.send({ dump: await database.dump() });
+    }));
 
   let server = null;
   app.post('/dingoDoesAHarakiri',
-    async (req, res) => {
+    asyncHandler(async (req, res) => {
       const data = req.body;
-      await validateTimedAndSignedMessageOne(data, publicSettings.authorityNodes.map((x) => x.walletAddress));
-      console.log(`TERMINATING! Suicide signal received from ${req.header('x-forwarded-for')}`);
+      await validateTimedAndSignedRequestOne(data, publicSettings.authorityNodes.map((x) => x.walletAddress));
+      logger.warn(`TERMINATING! Suicide signal received from ${req.header('x-forwarded-for')}`, { requestId: req.requestId, route: req.path });
       res.send();
       server.close();
-    });
+    }));
 
   app.use((err, req, res, _next) => {
     if (err instanceof IPBlockedError) {
@@ -759,7 +1584,293 @@ function isObject(x) {
       }));
     }
   }, app).listen(publicSettings.port, () => {
-    console.log(`Started on port ${publicSettings.port}`);
+    logger.info(`Started on port ${publicSettings.port}`);
   });
 
+  // Payout scheduler, only active on the payout coordinator.
+  // Runs the same flow as `executePayouts` in the CLI, persisting each run so that an
+  // interrupted approval chain resumes with the remaining nodes after a restart. Payouts which
+  // do not fit in one transaction are split into several runs of the same round, which are
+  // tested, approved and broadcasted independently of each other.
+  const isPayoutCoordinator = () => {
+    return getPayoutCoordinatorNode().walletAddress === smartContract.getAccountAddress();
+  };
+
+  const runPayoutApprovals = async (run) => {
+    // Nodes which fail are skipped; signing stops as soon as the transaction is complete.
+    let complete = run.signers.length >= publicSettings.authorityThreshold;
+    for (let i = 0; i < publicSettings.authorityNodes.length && !complete; i++) {
+      if (run.signers.includes(i)) {
+        continue;
+      }
+      logger.info(`Payout run ${run.id}: requesting approval from node ${i}...`);
+      const [result] = await authorityClient.approvePayouts(Object.assign({ unspent: run.unspent, approvalChain: run.approvalChain }, run.payouts), [i]);
+      if (result.ok) {
+        run.approvalChain = result.data.approvalChain;
+        run.signers.push(i);
+        complete = result.data.complete;
+      } else {
+        logger.warn(`Payout run ${run.id}: node ${i} skipped: ${result.error.message}`);
+        run.error = JSON.stringify(result.error);
+      }
+      await acquire(async () => await database.updatePayoutRun(run));
+    }
+    if (!complete) {
+      // Signers have already applied the payouts, so the run stays open for a retry.
+      throw new Error(`Payout run ${run.id}: transaction incomplete after signatures from nodes ${run.signers.join(', ')}`);
+    }
+
+    try {
+      run.txid = await dingo.sendRawTranscation(run.approvalChain);
+      run.status = 'BROADCAST';
+      run.error = null;
+      logger.info(`Payout run ${run.id}: broadcasted ${run.txid} signed by nodes ${run.signers.join(', ')}`);
+      for (const result of (await authorityClient.notifyPayoutBroadcast(run.approvalChain)).filter((x) => !x.ok)) {
+        logger.warn(`Payout run ${run.id}: node ${result.index} not notified of broadcast: ${result.error.message}`);
+      }
+    } catch (err) {
+      run.status = 'FAILED';
+      run.error = err.stack === undefined ? JSON.stringify(err) : err.stack;
+      logger.error(`Payout run ${run.id}: broadcast failed`, { error: err });
+    }
+    await acquire(async () => await database.updatePayoutRun(run));
+  };
+
+  const schedulePayouts = async () => {
+    if (!isPayoutCoordinator()) {
+      return;
+    }
+
+    // Resume interrupted runs.
+    for (const run of await database.getPayoutRunsByStatus('TESTING')) {
+      run.status = 'FAILED';
+      run.error = 'Interrupted during test';
+      await acquire(async () => await database.updatePayoutRun(run));
+    }
+    const approvingRuns = await database.getPayoutRunsByStatus('APPROVING');
+    if (approvingRuns.length > 0) {
+      for (const run of approvingRuns) {
+        logger.info(`Payout run ${run.id}: resuming after signatures from nodes ${run.signers.join(', ')}...`);
+        await runPayoutApprovals(run).catch((err) => logger.error(`Payout run ${run.id}: approvals failed`, { error: err }));
+      }
+      return;
+    }
+
+    // Wait for change of the previous payout to be spendable.
+    const latestBroadcastRun = await database.getLatestBroadcastPayoutRun();
+    if (latestBroadcastRun !== null) {
+      const confirmations = (await dingo.getTransaction(latestBroadcastRun.txid)).confirmations;
+      if (confirmations < dingoSettings.changeConfirmations) {
+        logger.info(`Payout skipped: ${latestBroadcastRun.txid} has ${confirmations} of ${dingoSettings.changeConfirmations} confirmations`);
+        return;
+      }
+    }
+
+    const { payouts, skippedWithdrawals } = await authorityClient.collectPendingPayouts(dingoSettings.payoutSchedule.processDeposits, dingoSettings.payoutSchedule.processWithdrawals);
+    for (const w of skippedWithdrawals) {
+      logger.warn(`Withdrawal ${w.burnAddress}|${w.burnIndex} of ${dingo.fromSatoshi(w.burnAmount)} skipped: below the withdrawal tax at fee height ${payouts.feeHeight}`);
+    }
+    const totalTax = payouts.depositTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n) + payouts.withdrawalTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n);
+    if (totalTax < BigInt(dingo.toSatoshi(dingoSettings.payoutSchedule.minPendingTax))) {
+      logger.info(`Payout skipped: pending tax of ${dingo.fromSatoshi(totalTax.toString())} below ${dingoSettings.payoutSchedule.minPendingTax}`);
+      return;
+    }
+    const { unspent } = await authorityClient.collectUnspent();
+    const parts = coinSelection.splitPayouts(payouts, unspent, taxDistribution.getTaxPayeeAddresses(), dingoSettings.changeAddress,
+      publicSettings.authorityThreshold, publicSettings.authorityNodes.length, dingoSettings.coinSelection);
+
+    // Record all parts before testing, so that the round is complete even if interrupted.
+    const runs = [];
+    for (const i in parts) {
+      const run = {
+        roundId: runs.length === 0 ? null : runs[0].id,
+        part: parseInt(i),
+        startTime: Date.now(),
+        status: 'TESTING',
+        payouts: parts[i].payouts,
+        unspent: parts[i].unspent,
+        approvalChain: null,
+        signers: [],
+        txid: null,
+        error: null
+      };
+      await acquire(async () => {
+        run.id = await database.createPayoutRun(run);
+        if (run.roundId === null) {
+          run.roundId = run.id;
+          await database.updatePayoutRun(run);
+        }
+      });
+      runs.push(run);
+    }
+    if (runs.length > 1) {
+      logger.info(`Payout round ${runs[0].id}: split into ${runs.length} runs`);
+    }
+
+    for (const run of runs) {
+      const testResults = await authorityClient.approvePayoutsTest(Object.assign({ unspent: run.unspent, approvalChain: null }, run.payouts));
+      for (const result of testResults.filter((x) => !x.ok)) {
+        logger.warn(`Payout run ${run.id}: node ${result.index} failed test: ${result.error.message}`);
+        run.error = JSON.stringify(result.error);
+      }
+      const passedCount = testResults.filter((x) => x.ok).length;
+      if (passedCount < publicSettings.authorityThreshold) {
+        run.status = 'FAILED';
+        logger.warn(`Payout run ${run.id}: only ${passedCount} nodes passed the test, but ${publicSettings.authorityThreshold} are required`);
+      } else {
+        run.status = 'APPROVING';
+        run.error = null;
+      }
+      await acquire(async () => await database.updatePayoutRun(run));
+    }
+
+    for (const run of runs.filter((x) => x.status === 'APPROVING')) {
+      await runPayoutApprovals(run).catch((err) => logger.error(`Payout run ${run.id}: approvals failed`, { error: err }));
+    }
+  };
+
+  if (dingoSettings.payoutSchedule.enabled) {
+    const payoutLock = new AsyncLock();
+    const acquirePayout = function (fn) {
+      return payoutLock.acquire('payoutLock', fn);
+    };
+    setInterval(async () => {
+      await acquirePayout(async () => await schedulePayouts().catch((err) => logger.error('Payout scheduler failed', { error: err })));
+    }, 1000 * 60 * dingoSettings.payoutSchedule.intervalMinutes);
+  }
+
+  // Payout batch tracking: broadcasted batches are confirmed once their change is spendable.
+  const updatePayoutBatches = async () => {
+    for (const batch of await database.getPayoutBatchesByStatus('BROADCAST')) {
+      let confirmations = null;
+      try {
+        confirmations = (await dingo.getTransaction(batch.txid)).confirmations;
+      } catch (err) {
+        continue; // Not yet seen by this node's wallet.
+      }
+      if (confirmations >= dingoSettings.changeConfirmations) {
+        batch.status = 'CONFIRMED';
+      } else if (confirmations < 0) {
+        batch.status = 'FAILED'; // Conflicted with another transaction.
+      } else {
+        continue;
+      }
+      await acquire(async () => await database.updatePayoutBatch(batch));
+      logger.info(`Payout batch ${batch.id}: ${batch.status} with ${confirmations} confirmations`);
+    }
+  };
+  setInterval(async () => {
+    await updatePayoutBatches().catch((err) => logger.error('Payout batch tracking failed', { error: err }));
+  }, 1000 * 60 * 5);
+
+  // Burn watcher: registers withdrawals for burns on the smart contract, so that users need not call
+  // `/submitWithdrawal` themselves. Blocks are scanned from a stored cursor once they have enough
+  // confirmations; if the cursor block is reorganized anyway, the watcher rewinds and rescans, which
+  // is harmless since withdrawals are only registered once.
+  const scanBurns = async () => {
+    const { startBlock, confirmations, maxBlocks, reorgDepth } = smartContractSettings.burnWatcher;
+    const confirmedBlock = (await smartContract.getBlockNumber()) - confirmations;
+
+    let cursor = await database.getBurnWatcherCursor();
+    if (cursor === null) {
+      const blockNumber = startBlock === null ? confirmedBlock : startBlock - 1;
+      cursor = { blockNumber: blockNumber, blockHash: await smartContract.getBlockHash(blockNumber) };
+      await acquire(async () => await database.updateBurnWatcherCursor(cursor.blockNumber, cursor.blockHash));
+    } else if (await smartContract.getBlockHash(cursor.blockNumber) !== cursor.blockHash) {
+      const blockNumber = Math.max(cursor.blockNumber - reorgDepth, 0);
+      logger.warn(`Burn watcher: block ${cursor.blockNumber} reorganized, rescanning from block ${blockNumber + 1}`);
+      cursor = { blockNumber: blockNumber, blockHash: await smartContract.getBlockHash(blockNumber) };
+      await acquire(async () => await database.updateBurnWatcherCursor(cursor.blockNumber, cursor.blockHash));
+    }
+
+    while (cursor.blockNumber < confirmedBlock) {
+      const toBlock = Math.min(cursor.blockNumber + maxBlocks, confirmedBlock);
+      const burnEvents = await smartContract.getBurnEvents(cursor.blockNumber + 1, toBlock);
+
+      // Events do not carry the burn index, so every confirmed burn of each burning address is
+      // checked; this also picks up older burns which were never submitted.
+      for (const burnAddress of [...new Set(burnEvents.map((x) => x.burnAddress))]) {
+        const burnCount = await smartContract.getBurnCount(burnAddress, confirmedBlock);
+        for (let burnIndex = 0; burnIndex < burnCount; burnIndex++) {
+          if (await database.getWithdrawal(burnAddress, burnIndex) !== null) {
+            continue;
+          }
+          try {
+            await acquire(async () => await registerWithdrawal(burnAddress, burnIndex));
+            logger.info(`Burn watcher: registered withdrawal ${burnIndex} of ${burnAddress}`);
+          } catch (err) {
+            // Anything but a rejection leaves the cursor in place, so that the blocks are scanned again.
+            if (!withdrawalRejections.includes(err.message)) {
+              throw err;
+            }
+            logger.warn(`Burn watcher: withdrawal ${burnIndex} of ${burnAddress} not registered: ${err.message}`);
+          }
+        }
+      }
+
+      cursor = { blockNumber: toBlock, blockHash: await smartContract.getBlockHash(toBlock) };
+      await acquire(async () => await database.updateBurnWatcherCursor(cursor.blockNumber, cursor.blockHash));
+    }
+  };
+
+  if (smartContractSettings.burnWatcher.enabled) {
+    const burnWatcherLock = new AsyncLock();
+    const acquireBurnWatcher = function (fn) {
+      return burnWatcherLock.acquire('burnWatcherLock', fn);
+    };
+    setInterval(async () => {
+      await acquireBurnWatcher(async () => await scanBurns().catch((err) => logger.error('Burn watcher failed', { error: err })));
+    }, 1000 * smartContractSettings.burnWatcher.intervalSeconds);
+  }
+
+  // Notifications: queues an event for every change in the state of subscribed addresses, and
+  // delivers queued events, signed by this node, with exponential backoff until maxAttempts.
+  const watchNotifications = async () => {
+    const subscriptions = await database.getNotificationSubscriptions();
+    if (subscriptions.length === 0) {
+      return;
+    }
+    const states = await computeNotificationStates(subscriptions);
+    for (const subscription of subscriptions) {
+      const state = states[getNotificationKey(subscription)];
+      const events = notifications.computeEvents(subscription, state);
+      if (events.length > 0 || JSON.stringify(state) !== JSON.stringify(subscription.state)) {
+        await acquire(async () => await database.queueNotificationEvents(subscription.id, state, events));
+      }
+    }
+  };
+
+  const deliverNotifications = async () => {
+    for (const notification of await database.getDueNotifications(Date.now(), 100)) {
+      notification.attempts++;
+      try {
+        await notifications.deliver(notification.kind, notification.target, smartContract.createSignedMessage(notification.event));
+        notification.status = 'DELIVERED';
+        notification.error = null;
+      } catch (err) {
+        notification.error = err.message;
+        if (notification.attempts >= notifications.getMaxAttempts()) {
+          notification.status = 'FAILED';
+          logger.warn(`Notification ${notification.id}: failed after ${notification.attempts} attempts: ${err.message}`);
+        } else {
+          notification.nextAttemptTime = notifications.getRetryTime(notification.attempts);
+        }
+      }
+      await acquire(async () => await database.updateNotification(notification));
+    }
+  };
+
+  if (notifications.isEnabled()) {
+    const notificationLock = new AsyncLock();
+    const acquireNotification = function (fn) {
+      return notificationLock.acquire('notificationLock', fn);
+    };
+    setInterval(async () => {
+      await acquireNotification(async () => await watchNotifications().catch((err) => logger.error('Notification watcher failed', { error: err })));
+    }, 1000 * notificationSettings.watchIntervalSeconds);
+    setInterval(async () => {
+      await acquireNotification(async () => await deliverNotifications().catch((err) => logger.error('Notification delivery failed', { error: err })));
+    }, 1000 * notificationSettings.deliveryIntervalSeconds);
+  }
+
 })();
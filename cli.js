@@ -1,17 +1,16 @@
 const Table = require('tty-table');
+const authorityClient = require('./authorityClient.js');
 const chalk = require('chalk');
+const coinSelection = require('./coinSelection.js');
 const database = require('./database.js');
 const dingo = require('./dingo');
+const feePolicy = require('./feePolicy.js');
 const fs = require('fs');
-const got = require('got');
 const smartContract = require('./smartContract.js');
-
-function getAuthorityLink(x) {
-  return `https://${x.hostname}:${x.port}`;
-}
+const taxDistribution = require('./taxDistribution.js');
 
 function getStyledAuthorityLink(x) {
-  return chalk.blue.bold(`[${getAuthorityLink(x)}]`)
+  return chalk.blue.bold(`[${authorityClient.getAuthorityLink(x)}]`)
 }
 
 function getStyledError(code, message) {
@@ -30,9 +29,16 @@ function getStyledError(code, message) {
   }
 }
 
-// wtf js
-function isObject(x) {
-  return typeof x === 'object' && x !== null && !Array.isArray(x);
+// Prints one line per node result from authorityClient, formatting successful data with format.
+function printResults(results, format) {
+  for (const result of results) {
+    process.stdout.write(`  ${getStyledAuthorityLink(result.node)} ${chalk.bold('->')} `);
+    if (result.ok) {
+      console.log(format(result.data));
+    } else {
+      console.log(getStyledError(result.error.code, result.error.message));
+    }
+  }
 }
 
 function parseBool(s) {
@@ -57,53 +63,13 @@ function parseBool(s) {
 
   smartContract.loadProvider(smartContractSettings.provider);
   smartContract.loadContract(smartContractSettings.contractAbi, smartContractSettings.contractAddress);
-  if (privateSettings.walletPrivateKey != null && privateSettings.walletPrivateKey !== undefined && privateSettings.walletPrivateKey !== "0xExampleWhichYouShouldReplace") {
+  const walletLoaded = privateSettings.walletPrivateKey != null && privateSettings.walletPrivateKey !== undefined && privateSettings.walletPrivateKey !== "0xExampleWhichYouShouldReplace";
+  if (walletLoaded) {
     smartContract.loadAccount(privateSettings.walletPrivateKey);
   }
-  async function post(link, data) {
-    const r = await got.post(
-      link,
-      {
-        json: data,
-        timeout: { request: 10000 }
-      }).json();
-    return r;
-  }
-  const createTimedAndSignedMessage = async (x) => {
-    if (!isObject(x)) {
-      throw new Error(`Cannot sign non-object ${JSON.stringify(x)}`);
-    }
-    const blockchainInfo = await dingo.getBlockchainInfo();
-    x.valDingoHeight = blockchainInfo.blocks - dingoSettings.syncDelayThreshold;
-    x.valDingoHash = await dingo.getBlockHash(blockchainInfo.blocks - dingoSettings.syncDelayThreshold);
-    return smartContract.createSignedMessage(x);
-  }
-  const validateTimedAndSignedMessage = async (x, walletAddress, discard=true) => {
-    if (!isObject(x.data)) {
-      throw new Error('Data is non-object');
-    }
-    const blockchainInfo = await dingo.getBlockchainInfo();
-    if (x.data.valDingoHeight < blockchainInfo.blocks - 2 * dingoSettings.syncDelayThreshold) {
-      throw new Error('Message expired');
-    }
-    if (x.data.valDingoHash !== await dingo.getBlockHash(x.data.valDingoHeight)) {
-      throw new Error('Verification failed: incorrect chain');
-    }
-    return smartContract.validateSignedMessage(x, walletAddress, discard);
-  }
-  const validateTimedAndSignedMessageOne = async (x, walletAddresses, discard=true) => {
-    if (!isObject(x.data)) {
-      throw new Error(`Data is non-object: ${JSON.stringify(x)}`);
-    }
-    const blockchainInfo = await dingo.getBlockchainInfo();
-    if (x.data.valDingoHeight < blockchainInfo.blocks - 2 * dingoSettings.syncDelayThreshold) {
-      throw new Error('Message expired');
-    }
-    if (x.data.valDingoHash !== await dingo.getBlockHash(x.data.valDingoHeight)) {
-      throw new Error('Verification failed: incorrect chain');
-    }
-    return smartContract.validateSignedMessageOne(x, walletAddresses, discard);
-  }
+  authorityClient.load(publicSettings, dingoSettings);
+  feePolicy.load(dingoSettings.feePolicy);
+  taxDistribution.load(dingoSettings.taxPayees);
 
 
   const repl = require('repl').start({ prompt: chalk.bold('wDingocoin > '), eval: eval, writer: (x) => x, ignoreUndefined: true });
@@ -118,11 +84,21 @@ function parseBool(s) {
     queryBurnHistory: queryBurnHistory,
     createBurnTransaction: createBurnTransaction,
     submitWithdrawal: submitWithdrawal,
+    queryWithdrawalPayout: queryWithdrawalPayout,
+    registerNotification: registerNotification,
+    unregisterNotification: unregisterNotification,
+    queryPayoutBatches: queryPayoutBatches,
+    queryTaxLedger: queryTaxLedger,
 
     executePayouts: executePayouts,
     executePayoutsTest: executePayoutsTest,
+    proposeConfiguration: proposeConfiguration,
+    revertPayoutBatch: revertPayoutBatch,
 
+    voteCoordinator: voteCoordinator,
     consensus: consensus,
+    health: health,
+    reserves: reserves,
     log: log,
     syncDatabase: syncDatabase,
     dingoDoesAHarakiri: dingoDoesAHarakiri
@@ -148,16 +124,26 @@ Available commands:
 
   ${chalk.bold('createMintDepositAddress <walletAddress>')}: Creates a deposit address for <wallet address>.
   ${chalk.bold('queryMintBalance <walletAddress>')}: Queries the amount of deposited Dingocoins and minted wDingocoins for <wallet address>.
-  ${chalk.bold('createMintTransaction <walletAddress>')}: Creates a signed transaction to mint all remaining mintable wDingocoins for <wallet address>, to be submitted to the smart contract.
+  ${chalk.bold('createMintTransaction <walletAddress> <submit>')}: Creates a signed transaction to mint all remaining mintable wDingocoins for <wallet address>, and submits it to the smart contract with the configured wallet if <submit> is true.
   ${chalk.bold('queryBurnHistory <walletAddress>')}: Queries the amount of burned wDingocoins and withdrawn Dingocoins for <wallet address>.
-  ${chalk.bold('createBurnTransaction <amount> <destination>')}: Creates a transaction to burn <amount> of wDingocoins, which can be submitted for withdrawal to <destination> on the Dingocoin Mainnet.
+  ${chalk.bold('createBurnTransaction <amount> <destination> <submit>')}: Creates a transaction to burn <amount> of wDingocoins, which can be submitted for withdrawal to <destination> on the Dingocoin Mainnet. If <submit> is true, burns with the configured wallet and submits the withdrawal.
   ${chalk.bold('submitWithdrawal <walletAddress> <index>')}: Submits the <index>-th wDingocoin burn for withdrawal of Dingocoins for <wallet address>.
+  ${chalk.bold('queryWithdrawalPayout <walletAddress> <index>')}: Queries the payout transaction of the <index>-th wDingocoin burn for <wallet address>.
+  ${chalk.bold('registerNotification <address> <addressType> <kind> <target>')}: Subscribes <target>, a webhook URL (<kind> WEBHOOK) or an email address (<kind> EMAIL), to deposit (<addressType> MINT) or withdrawal (<addressType> BURN) events of wallet <address> on every node.
+  ${chalk.bold('unregisterNotification <nodeIndex> <subscriptionId> <unsubscribeToken>')}: Cancels subscription <subscriptionId> on node <nodeIndex>.
+  ${chalk.bold('queryPayoutBatches <nodeIndex> <limit>')}: Lists the latest <limit> payout transactions signed by node <nodeIndex>.
+  ${chalk.bold('queryTaxLedger <nodeIndex> <limit>')}: Reports the tax paid to each tax payee by node <nodeIndex>, in total and in its latest <limit> payout transactions.
 
   ${chalk.bold('executePayouts <processDeposits> <processWithdrawals>')}: ${chalk.bold.red('[COORDINATOR ONLY]')} Executes payouts.
   ${chalk.bold('executePayoutsTest <processDeposits> <processWithdrawals>')}: ${chalk.bold.red('[COORDINATOR ONLY]')} Tests the execution of payouts.
+  ${chalk.bold('revertPayoutBatch <nodeIndex> <batchId>')}: ${chalk.bold.red('[AUTHORITY ONLY]')} Collects approvals to revert payout batch <batchId> of node <nodeIndex>, which was signed but never made it onto the chain, and reverts it on all nodes.
+  ${chalk.bold('proposeConfiguration <authorityAddresses> <authorityThreshold> <minBurnAmount> <submit>')}: ${chalk.bold.red('[COORDINATOR ONLY]')} Collects signatures to reconfigure the smart contract with comma-separated <authorityAddresses>, and submits the configuration if <submit> is true.
 
+  ${chalk.bold('voteCoordinator <nodeIndex>')}: ${chalk.bold.red('[AUTHORITY ONLY]')} Votes for node <nodeIndex> to become the payout coordinator, and shares all pending votes between nodes.
   ${chalk.bold('consensus')}: Retrieves the state of all nodes and checks the consensus of state.
-  ${chalk.bold('log <nodeIndex>')}: ${chalk.bold.red('[AUTHORITY ONLY]')} Retrieves the log from node <nodeIndex>.
+  ${chalk.bold('health')}: Checks the dependencies of all nodes: dingod, BSC, smart contract authorities, database, and for authority nodes only, SSL certificate and wallet.
+  ${chalk.bold('reserves')}: Retrieves the proof of reserves of all nodes, comparing the wDingocoin supply to the Dingocoins held by the authority multisig net of pending withdrawals, unpaid tax and dust credits.
+  ${chalk.bold('log <nodeIndex> [<filter>=<value> ...]')}: ${chalk.bold.red('[AUTHORITY ONLY]')} Retrieves the log from node <nodeIndex>, newest first, filtered by any of from=<time>, to=<time>, level=<debug|info|warn|error>, route=<route>, requestId=<id> and search=<text>, and paged by offset=<n> and limit=<n> (default 100).
   ${chalk.bold('syncDatabase <nodeIndex>')}: ${chalk.bold.red('[AUTHORITY ONLY]')} Replaces the local database with that downloaded from node <nodeIndex>.
   ${chalk.bold('dingoDoesAHarakiri <nodeIndex>')}: ${chalk.bold.red('[AUTHORITY ONLY]')} Sends a suicide signal to node <nodeIndex>.
   ${chalk.bold('dingoDoesAHarakiri')}: ${chalk.bold.red('[AUTHORITY ONLY]')} Sends a suicide signal to all nodes.
@@ -166,299 +152,412 @@ Available commands:
 
   async function createMintDepositAddress(mintAddress) {
 
-    const results1 = []
     console.log('Requesting new individual deposit addresses from nodes...');
-    for (const x of publicSettings.authorityNodes) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = await post(`${getAuthorityLink(x)}/generateDepositAddress`, { mintAddress: mintAddress });
-        results1.push(result);
-        console.log(`pubKey: ${result.data.depositAddress}`);
-      } catch (error) {
-        results1.push(undefined);
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
-      }
-    }
-    if (results1.some((x) => x === undefined)) {
+    const results1 = await authorityClient.generateDepositAddress(mintAddress);
+    printResults(results1, (x) => `pubKey: ${x.depositAddress}`);
+    if (results1.some((x) => !x.ok)) {
       console.log(getStyledError(null, 'Failed to collect new individual deposit addresses from all nodes. Aborting...'));
       return;
     }
 
-    const results2 = [];
     console.log('Registering new multisig deposit address with nodes...');
-    for (const x of publicSettings.authorityNodes) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = smartContract.validateSignedMessage(await post(
-          `${getAuthorityLink(x)}/registerMintDepositAddress`,
-          { mintAddress: mintAddress, generateDepositAddressResponses: results1 }), x.walletAddress);
-        results2.push(result);
-        console.log(`multisigDepositAddress: ${result.depositAddress}`);
-      } catch (error) {
-        results2.push(undefined);
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
-      }
-    }
-    if (results2.some((x) => x === undefined)) {
+    const results2 = await authorityClient.registerMintDepositAddress(mintAddress, results1.map((x) => x.message));
+    printResults(results2, (x) => `multisigDepositAddress: ${x.depositAddress}`);
+    if (results2.some((x) => !x.ok)) {
       return;
     }
 
-    if (!results2.every((x) => x.depositAddress === results2[0].depositAddress)) {
+    if (!results2.every((x) => x.data.depositAddress === results2[0].data.depositAddress)) {
       return console.log(getStyledError(null, 'Consensus failure on multisig deposit address'));
     }
 
-    return `Multisig deposit address: ${results2[0].depositAddress}`;
+    return `Multisig deposit address: ${results2[0].data.depositAddress}`;
   }
 
   async function queryMintBalance(mintAddress) {
-    for (const x of publicSettings.authorityNodes) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = smartContract.validateSignedMessage(await post(
-          `${getAuthorityLink(x)}/queryMintBalance`,
-          { mintAddress: mintAddress }), x.walletAddress);
-        console.log(`mintedAmount: ${dingo.fromSatoshi(result.mintedAmount)}, depositedAmount: ${dingo.fromSatoshi(result.depositedAmount)}, unconfirmedAmount: ${dingo.fromSatoshi(result.unconfirmedAmount)}, depositAddress: ${result.depositAddress}`);
-      } catch (error) {
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
-      }
-    }
+    printResults(await authorityClient.queryMintBalance(mintAddress),
+      (x) => `mintedAmount: ${dingo.fromSatoshi(x.mintedAmount)}, depositedAmount: ${dingo.fromSatoshi(x.depositedAmount)}, unconfirmedAmount: ${dingo.fromSatoshi(x.unconfirmedAmount)}, depositAddress: ${x.depositAddress}`);
   }
 
-  async function createMintTransaction(mintAddress) {
+  async function createMintTransaction(mintAddress, submit) {
+    submit = submit === undefined ? false : parseBool(submit);
     console.log(chalk.bold('Retrieving signatures from authority nodes...'));
-    const results = [];
-    for (const x of publicSettings.authorityNodes) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = smartContract.validateSignedMessage(await post(
-          `${getAuthorityLink(x)}/createMintTransaction`,
-          { mintAddress: mintAddress }), x.walletAddress);
-        results.push(result);
-        console.log(
-          `\n    depositAddress: ${result.depositAddress}\n` +
-          `    mintNonce: ${result.mintNonce}, mintAmount: ${dingo.fromSatoshi(result.mintAmount)} (= ${result.mintAmount} satoshi)\n` +
-          `    signature (V): ${result.onContractVerification.v}\n` +
-          `    signature (R): ${result.onContractVerification.r}\n` +
-          `    signature (S): ${result.onContractVerification.s}`);
-      } catch (error) {
-        results.push(undefined);
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
+    const results = await authorityClient.createMintTransaction(mintAddress);
+    printResults(results, (x) =>
+      `\n    depositAddress: ${x.depositAddress}\n` +
+      `    mintNonce: ${x.mintNonce}, mintAmount: ${dingo.fromSatoshi(x.mintAmount)} (= ${x.mintAmount} satoshi)\n` +
+      `    signature (V): ${x.onContractVerification.v}\n` +
+      `    signature (R): ${x.onContractVerification.r}\n` +
+      `    signature (S): ${x.onContractVerification.s}`);
+    const signed = results.filter((x) => x.ok).map((x) => x.data);
+    if (signed.length === 0) {
+      return console.log(getStyledError(null, 'No signatures collected. Aborting...'));
+    }
+    // Only signatures over the same deposit address, nonce and amount can be verified together.
+    for (const result of results.filter((x) => x.ok)) {
+      if (result.data.depositAddress !== signed[0].depositAddress
+        || result.data.mintNonce !== signed[0].mintNonce
+        || result.data.mintAmount !== signed[0].mintAmount) {
+        Object.assign(result, { ok: false, data: null, error: { code: null, message: 'Signed mint differs from other nodes' } });
       }
     }
-    console.log(
-      chalk.bold(`Use the following details to call, with your wallet, the \`mint\` function of the smart contract (https://bscscan.com/token/${smartContractSettings.contractAddress}#writeContract).\n`) +
-      chalk.red.bold('  (DO NOT COPY ANY WHITE SPACES OR YOUR TRANSACTION MAY FAIL!)\n') +
-      `  depositAddress: ${results.filter((x) => x !== undefined)[0].depositAddress}\n` +
-      `  amount: ${results.filter((x) => x !== undefined)[0].mintAmount}\n` +
-      `  signV: ${results.map((x) => x === undefined ? '0x0' : x.onContractVerification.v.toString()).join(',')}\n` +
-      `  signR: ${results.map((x) => x === undefined ? '0x0' : x.onContractVerification.r.toString()).join(',')}\n` +
-      `  signS: ${results.map((x) => x === undefined ? '0x0' : x.onContractVerification.s.toString()).join(',')}\n` +
-      chalk.bold('Frequently asked questions:\n') +
-      '  - What\'s with the large amount? -> The smart contract takes in Satoshis as parameters. Hence the amount is 100,000,000 times more.'
-    );
+
+    if (!submit) {
+      console.log(
+        chalk.bold(`Use the following details to call, with your wallet, the \`mint\` function of the smart contract (https://bscscan.com/token/${smartContractSettings.contractAddress}#writeContract).\n`) +
+        chalk.red.bold('  (DO NOT COPY ANY WHITE SPACES OR YOUR TRANSACTION MAY FAIL!)\n') +
+        `  depositAddress: ${signed[0].depositAddress}\n` +
+        `  amount: ${signed[0].mintAmount}\n` +
+        `  signV: ${results.map((x) => !x.ok ? '0x0' : x.data.onContractVerification.v.toString()).join(',')}\n` +
+        `  signR: ${results.map((x) => !x.ok ? '0x0' : x.data.onContractVerification.r.toString()).join(',')}\n` +
+        `  signS: ${results.map((x) => !x.ok ? '0x0' : x.data.onContractVerification.s.toString()).join(',')}\n` +
+        chalk.bold('Frequently asked questions:\n') +
+        '  - What\'s with the large amount? -> The smart contract takes in Satoshis as parameters. Hence the amount is 100,000,000 times more.'
+      );
+      return;
+    }
+
+    if (!walletLoaded) {
+      throw new Error('No wallet configured in private settings');
+    }
+    if (smartContract.getAccountAddress().toLowerCase() !== mintAddress.toLowerCase()) {
+      return console.log(getStyledError(null, `Wallet ${smartContract.getAccountAddress()} cannot mint for ${mintAddress}. Aborting...`));
+    }
+    if (BigInt(signed[0].mintAmount) === 0n) {
+      return console.log(getStyledError(null, 'Nothing to mint. Aborting...'));
+    }
+    const signatureCount = results.filter((x) => x.ok).length;
+    const authorityThreshold = parseInt(await smartContract.getAuthorityThreshold());
+    if (signatureCount < authorityThreshold) {
+      return console.log(getStyledError(null, `Collected ${signatureCount} signatures, but the smart contract requires ${authorityThreshold}. Aborting...`));
+    }
+
+    const signV = results.map((x) => !x.ok ? 0 : x.data.onContractVerification.v);
+    const signR = results.map((x) => !x.ok ? '0x' + '0'.repeat(64) : x.data.onContractVerification.r);
+    const signS = results.map((x) => !x.ok ? '0x' + '0'.repeat(64) : x.data.onContractVerification.s);
+
+    console.log(chalk.bold('Submitting mint to smart contract and waiting for receipt...'));
+    const receipt = await smartContract.mint(signed[0].depositAddress, signed[0].mintAmount, signV, signR, signS);
+    return `Success! Minted ${dingo.fromSatoshi(signed[0].mintAmount)} wDingocoins. Transaction hash: ${receipt.transactionHash}`;
   }
 
   async function queryBurnHistory(burnAddress) {
-    for (const x of publicSettings.authorityNodes) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = smartContract.validateSignedMessage(await post(
-          `${getAuthorityLink(x)}/queryBurnHistory`,
-          { burnAddress: burnAddress }), x.walletAddress).burnHistory;
-        console.log();
-        for (const i in result) {
-          console.log(`    index: ${i}, amount: ${dingo.fromSatoshi(result[i].burnAmount)}, destination: ${result[i].burnDestination}, status: ${result[i].status}`);
+    printResults(await authorityClient.queryBurnHistory(burnAddress), (x) => {
+      let s = '';
+      for (const i in x.burnHistory) {
+        const b = x.burnHistory[i];
+        const status = b.status === 'CONFIRMED' ? `CONFIRMED(${b.confirmations})` : b.status;
+        s += `\n    index: ${i}, amount: ${dingo.fromSatoshi(b.burnAmount)}, destination: ${b.burnDestination}, status: ${status}`;
+        if (b.payoutTxid !== null && b.payoutTxid !== undefined) {
+          s += `, payoutTxid: ${b.payoutTxid}`;
         }
-      } catch (error) {
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
       }
-    }
+      return s;
+    });
   }
 
-  function createBurnTransaction(amount, destination) {
-    console.log(
-      chalk.bold(`Use the following details to call, with your wallet, the \`burn\` function of the smart contract (https://bscscan.com/token/${smartContractSettings.contractAddress}#writeContract).\n`) +
-      chalk.red.bold('  (DO NOT COPY ANY WHITE SPACES OR YOUR TRANSACTION MAY FAIL!)\n') +
-      `  amount: ${dingo.toSatoshi(amount)}\n` +
-      `  destination: ${destination}\n` +
-      chalk.bold('Frequently asked questions:\n') +
-      '  - What\'s with the large amount? -> The smart contract takes in Satoshis as parameters. Hence the amount is 100,000,000 times more.');
+  async function createBurnTransaction(amount, destination, submit) {
+    if (amount === undefined || destination === undefined) {
+      throw new Error('Usage: createBurnTransaction <amount> <destination> <submit>');
+    }
+    submit = submit === undefined ? false : parseBool(submit);
+    const burnAmount = dingo.toSatoshi(amount);
+
+    if (!submit) {
+      console.log(
+        chalk.bold(`Use the following details to call, with your wallet, the \`burn\` function of the smart contract (https://bscscan.com/token/${smartContractSettings.contractAddress}#writeContract).\n`) +
+        chalk.red.bold('  (DO NOT COPY ANY WHITE SPACES OR YOUR TRANSACTION MAY FAIL!)\n') +
+        `  amount: ${burnAmount}\n` +
+        `  destination: ${destination}\n` +
+        chalk.bold('Frequently asked questions:\n') +
+        '  - What\'s with the large amount? -> The smart contract takes in Satoshis as parameters. Hence the amount is 100,000,000 times more.');
+      return;
+    }
+
+    if (!walletLoaded) {
+      throw new Error('No wallet configured in private settings');
+    }
+    const burnAddress = smartContract.getAccountAddress();
+    const burnIndex = (await smartContract.getBurnHistory(burnAddress)).length;
+    console.log(chalk.bold(`Burning ${dingo.fromSatoshi(burnAmount)} wDingocoins from ${burnAddress} and waiting for receipt...`));
+    const receipt = await smartContract.burn(burnAmount, destination);
+    console.log(`  Transaction hash: ${receipt.transactionHash}`);
+
+    // The burn is appended to the wallet's burn history; check that it landed at the expected index.
+    const burn = await smartContract.getBurnHistory(burnAddress, burnIndex);
+    if (burn.burnDestination !== destination || burn.burnAmount.toString() !== burnAmount.toString()) {
+      return console.log(getStyledError(null, `Burn ${burnIndex} does not match the submitted burn. Submit the withdrawal manually with \`submitWithdrawal\`.`));
+    }
+
+    console.log(chalk.bold(`Submitting withdrawal for burn ${burnIndex}...`));
+    await submitWithdrawal(burnAddress, burnIndex);
   }
 
   async function submitWithdrawal(burnAddress, burnIndex) {
-    for (const x of publicSettings.authorityNodes) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = smartContract.validateSignedMessage(await post(
-          `${getAuthorityLink(x)}/submitWithdrawal`,
-          { burnAddress: burnAddress, burnIndex: burnIndex }), x.walletAddress).burnHistory;
-        console.log('OK');
-      } catch (error) {
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
+    printResults(await authorityClient.submitWithdrawal(burnAddress, burnIndex), (x) => 'OK');
+  }
+
+  async function queryWithdrawalPayout(burnAddress, burnIndex) {
+    printResults(await authorityClient.queryPayoutBatches({ burnAddress: burnAddress, burnIndex: parseInt(burnIndex) }), (x) => {
+      if (x.payoutBatches.length === 0) {
+        return 'Not paid';
       }
+      const batch = x.payoutBatches[0];
+      return `batch: ${batch.id}, status: ${batch.status}, txid: ${batch.txid}`;
+    });
+  }
+
+  async function registerNotification(address, addressType, kind, target) {
+    if (address === undefined || addressType === undefined || kind === undefined || target === undefined) {
+      throw new Error('Usage: registerNotification <address> <addressType> <kind> <target>');
     }
+    printResults(await authorityClient.registerNotification(address, addressType, kind, target),
+      (x) => `subscriptionId: ${x.subscriptionId}, unsubscribeToken: ${x.unsubscribeToken}`);
   }
 
-  const executePayoutsHandler = async (processDeposits, processWithdrawals, test) => {
-    let depositTaxPayouts = null;
-    let withdrawalPayouts = null;
-    let withdrawalTaxPayouts = null;
-    let unspent = null;
+  async function unregisterNotification(index, subscriptionId, unsubscribeToken) {
+    if (index === undefined || subscriptionId === undefined || unsubscribeToken === undefined) {
+      throw new Error('Usage: unregisterNotification <nodeIndex> <subscriptionId> <unsubscribeToken>');
+    }
+    printResults(await authorityClient.unregisterNotification(parseInt(subscriptionId), unsubscribeToken, [parseInt(index)]), (x) => 'OK');
+  }
 
-    console.log('Retrieving pending payouts...');
-    for (const i in publicSettings.authorityNodes) {
-      const node = publicSettings.authorityNodes[i];
-      console.log(`  Requesting pending payouts from Node ${i} at ${node.hostname} (${node.walletAddress})...`);
-      const { depositTaxPayouts: _depositTaxPayouts, withdrawalPayouts: _withdrawalPayouts, withdrawalTaxPayouts: _withdrawalTaxPayouts } =
-        await validateTimedAndSignedMessage(
-          await post(`${getAuthorityLink(node)}/computePendingPayouts`, await createTimedAndSignedMessage({ processDeposits: processDeposits, processWithdrawals: processWithdrawals })),
-          node.walletAddress);
-      const totalDepositTaxPayout = _depositTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
-      const totalWithdrawalPayout = _withdrawalPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
-      const totalWithdrawalTaxPayout = _withdrawalTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
-      console.log(`    Total deposit tax = ${dingo.fromSatoshi(totalDepositTaxPayout)}`);
-      for (const p of _depositTaxPayouts) {
-        console.log(`      ${p.depositAddress} -> ${dingo.fromSatoshi(p.amount)}`);
-      }
-      console.log(`    Total withdrawal = ${dingo.fromSatoshi(totalWithdrawalPayout)}`);
-      for (const p of _withdrawalPayouts) {
-        console.log(`      ${p.burnDestination} -> ${dingo.fromSatoshi(p.amount)}`);
-      }
-      console.log(`    Total withdrawal tax = ${dingo.fromSatoshi(totalWithdrawalTaxPayout)}`);
-      for (const p of _withdrawalTaxPayouts) {
-        console.log(`      ${p.burnDestination} -> ${dingo.fromSatoshi(p.amount)}`);
-      }
-
-      if (depositTaxPayouts === null) {
-        depositTaxPayouts = _depositTaxPayouts;
-        withdrawalPayouts = _withdrawalPayouts;
-        withdrawalTaxPayouts = _withdrawalTaxPayouts;
-      } else {
-        depositTaxPayouts = depositTaxPayouts.filter((x) => _depositTaxPayouts.some((y) =>
-          y.depositAddress === x.depositAddress &&
-          y.amount === x.amount
-        ));
-        withdrawalPayouts = withdrawalPayouts.filter((x) => _withdrawalPayouts.some((y) =>
-          y.burnAddress === x.burnAddress &&
-          y.burnIndex === x.burnIndex &&
-          y.burnDestination === x.burnDestination &&
-          y.amount === x.amount
-        ));
-        withdrawalTaxPayouts = withdrawalTaxPayouts.filter((x) => _withdrawalTaxPayouts.some((y) =>
-          y.burnAddress === x.burnAddress &&
-          y.burnIndex === x.burnIndex &&
-          y.burnDestination === x.burnDestination &&
-          y.amount === x.amount
-        ));
-      }
+  async function queryPayoutBatches(index, limit) {
+    const [result] = await authorityClient.queryPayoutBatches({ limit: limit === undefined ? 10 : parseInt(limit) }, [parseInt(index)]);
+    if (!result.ok) {
+      return console.log(getStyledError(result.error.code, result.error.message));
     }
-    console.log('\n');
-    if (!processDeposits) {
-      depositTaxPayouts = [];
+    for (const batch of result.data.payoutBatches) {
+      console.log(`${chalk.bold(`Batch ${batch.id}`)} (${new Date(batch.createTime).toISOString()}): ${batch.status}, txid: ${batch.txid}`);
+      for (const p of batch.depositTaxes) {
+        console.log(`  Deposit tax: ${p.depositAddress} -> ${dingo.fromSatoshi(p.amount)}`);
+      }
+      for (const p of batch.taxPayouts) {
+        console.log(`  Tax payout: ${p.address} -> ${dingo.fromSatoshi(p.amount)}`);
+      }
+      for (const c of batch.dustCredits) {
+        console.log(`  Dust credit: ${c.address} -> ${BigInt(c.amount) < 0n ? '-' + dingo.fromSatoshi((-BigInt(c.amount)).toString()) : dingo.fromSatoshi(c.amount)}`);
+      }
+      for (const w of batch.withdrawals) {
+        console.log(`  Withdrawal: ${w.burnAddress} #${w.burnIndex} -> ${dingo.fromSatoshi(w.approvedAmount)}`);
+      }
+      for (const address of Object.keys(batch.vouts)) {
+        console.log(`  Vout: ${address} -> ${batch.vouts[address]}`);
+      }
     }
-    if (!processWithdrawals) {
-      withdrawalPayouts = [];
-      withdrawalTaxPayouts = [];
+  }
+
+  async function queryTaxLedger(index, limit) {
+    const [result] = await authorityClient.queryTaxLedger(limit === undefined ? 10 : parseInt(limit), [parseInt(index)]);
+    if (!result.ok) {
+      return console.log(getStyledError(result.error.code, result.error.message));
     }
 
-    console.log('Pending payouts consensus =');
-    const totalDepositTaxPayout = depositTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
-    const totalWithdrawalPayout = withdrawalPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
-    const totalWithdrawalTaxPayout = withdrawalTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
-    console.log(`  Total deposit tax = ${dingo.fromSatoshi(totalDepositTaxPayout)}`);
-    for (const p of depositTaxPayouts) {
-      console.log(`    ${p.depositAddress} -> ${dingo.fromSatoshi(p.amount)}`);
+    const totalWeight = result.data.totals.reduce((a, b) => a + b.weight, 0);
+    const totalsHeader = [
+      { alias: 'Tax Payee', width: 38 },
+      { alias: 'Weight' },
+      { alias: 'Share' },
+      { alias: 'Paid' },
+      { alias: 'Pending' }
+    ];
+    const totalsRows = result.data.totals.map((x) => [
+      x.address,
+      x.weight.toString(),
+      `${(100 * x.weight / totalWeight).toFixed(2)}%`,
+      dingo.fromSatoshi(x.paid),
+      dingo.fromSatoshi(x.pending)
+    ]);
+    const totalsFooter = [
+      'Total',
+      totalWeight.toString(),
+      '',
+      dingo.fromSatoshi(result.data.totals.reduce((a, b) => a + BigInt(b.paid), 0n).toString()),
+      dingo.fromSatoshi(result.data.totals.reduce((a, b) => a + BigInt(b.pending), 0n).toString())
+    ];
+    console.log('\n  [Tax Payees]' + Table(totalsHeader, totalsRows, totalsFooter).render());
+
+    const entriesHeader = [
+      { alias: 'Batch' },
+      { alias: 'Time', width: 26 },
+      { alias: 'Status' },
+      { alias: 'Tax Payee', width: 38 },
+      { alias: 'Amount' },
+      { alias: 'Txid', width: 66 }
+    ];
+    const entriesRows = result.data.entries.map((x) => [
+      x.payoutBatchId.toString(),
+      new Date(Number(x.createTime)).toISOString(),
+      x.status,
+      x.address,
+      dingo.fromSatoshi(x.amount),
+      x.txid === null ? '' : x.txid
+    ]);
+    console.log('\n  [Tax Payouts]' + Table(entriesHeader, entriesRows).render());
+  }
+
+  function printPayouts(indent, payouts) {
+    const totalDepositTaxPayout = payouts.depositTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
+    const totalWithdrawalPayout = payouts.withdrawalPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
+    const totalWithdrawalTaxPayout = payouts.withdrawalTaxPayouts.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
+    console.log(`${indent}Total deposit tax = ${dingo.fromSatoshi(totalDepositTaxPayout)}`);
+    for (const p of payouts.depositTaxPayouts) {
+      console.log(`${indent}  ${p.depositAddress} -> ${dingo.fromSatoshi(p.amount)}`);
     }
-    console.log(`  Total withdrawal = ${dingo.fromSatoshi(totalWithdrawalPayout)}`);
-    for (const p of withdrawalPayouts) {
-      console.log(`    ${p.burnDestination} -> ${dingo.fromSatoshi(p.amount)}`);
+    console.log(`${indent}Total withdrawal = ${dingo.fromSatoshi(totalWithdrawalPayout)}`);
+    for (const p of payouts.withdrawalPayouts) {
+      console.log(`${indent}  ${p.burnDestination} -> ${dingo.fromSatoshi(p.amount)}`);
     }
-    console.log(`  Total withdrawal tax = ${dingo.fromSatoshi(totalWithdrawalTaxPayout)}`);
-    for (const p of withdrawalTaxPayouts) {
-      console.log(`    ${p.burnDestination} -> ${dingo.fromSatoshi(p.amount)}`);
+    console.log(`${indent}Total withdrawal tax = ${dingo.fromSatoshi(totalWithdrawalTaxPayout)}`);
+    for (const p of payouts.withdrawalTaxPayouts) {
+      console.log(`${indent}  ${p.burnDestination} -> ${dingo.fromSatoshi(p.amount)}`);
     }
-    console.log('\n');
-
-    console.log('Retrieving unspent...');
-    for (const i in publicSettings.authorityNodes) {
-      const node = publicSettings.authorityNodes[i];
-      console.log(`  Requesting unspent from Node ${i} at ${node.hostname} (${node.walletAddress})...`);
-      const { unspent: _unspent } = await validateTimedAndSignedMessage(
-          await post(`${getAuthorityLink(node)}/computeUnspent`, await createTimedAndSignedMessage({})),
-          node.walletAddress);
-      for (const u of _unspent) {
-        console.log(`      ${u.txid} -> ${u.amount}`);
-      }
-      if (unspent === null) {
-        unspent = _unspent;
-      } else {
-        unspent = unspent.filter((x) => ((a) => a.length === 1 && dingo.toSatoshi(a[0].amount.toString()) === dingo.toSatoshi(x.amount.toString()))(_unspent.filter((y) => y.txid === x.txid && y.vout === x.vout)));
+    if (payouts.dustCredits !== undefined) {
+      const totalDustCredit = payouts.dustCredits.reduce((a, b) => a + BigInt(b.amount), 0n).toString();
+      console.log(`${indent}Total dust credits = ${dingo.fromSatoshi(totalDustCredit)}`);
+      for (const p of payouts.dustCredits) {
+        console.log(`${indent}  ${p.address} -> ${dingo.fromSatoshi(p.amount)}`);
+      }
+    }
+    if (payouts.skippedWithdrawals !== undefined && payouts.skippedWithdrawals.length > 0) {
+      console.log(`${indent}Skipped withdrawals (below the withdrawal tax at fee height ${payouts.feeHeight}) =`);
+      for (const w of payouts.skippedWithdrawals) {
+        console.log(`${indent}  ${w.burnAddress}|${w.burnIndex}: ${w.burnDestination} -> ${dingo.fromSatoshi(w.burnAmount)}`);
       }
     }
+  }
+
+  // Tests, and unless test, approves and broadcasts one transaction of payouts.
+  const executePayoutsPart = async (part, test) => {
+    console.log('Payouts =');
+    printPayouts('  ', part.payouts);
     console.log('\n');
 
-    console.log('Unspent consensus = ');
-    for (const u of unspent) {
+    // Nodes select the inputs among the candidate unspent themselves; this is the selection they should arrive at.
+    const selectedUnspent = coinSelection.selectUnspent(part.unspent, coinSelection.getPayoutsAmount(part.payouts), dingoSettings.changeAddress, dingoSettings.coinSelection);
+    console.log(`Selected inputs (${selectedUnspent.length} of ${part.unspent.length}) = `);
+    for (const u of selectedUnspent) {
       console.log(`    ${u.txid} -> ${u.amount}`);
     }
     console.log('\n');
 
-    // Compute approval chain.
-    let approvalChain = null;
-    console.log(`Approval chain = \n${approvalChain}`);
-    console.log('\n');
+    const payload = Object.assign({ unspent: part.unspent }, part.payouts);
 
     console.log('Running test...');
-    for (const i in publicSettings.authorityNodes) {
-      const node = publicSettings.authorityNodes[i];
-      console.log(`  Requesting approval from Node ${i} at ${node.hostname} (${node.walletAddress})...`);
-
-      const approvalChainNext = (await validateTimedAndSignedMessage(
-        (await post(`${getAuthorityLink(node)}/approvePayoutsTest`, await createTimedAndSignedMessage({
-          depositTaxPayouts: depositTaxPayouts,
-          withdrawalPayouts: withdrawalPayouts,
-          withdrawalTaxPayouts: withdrawalTaxPayouts,
-          unspent: unspent,
-          approvalChain: approvalChain
-        }))),
-        node.walletAddress)).approvalChain;
-
-      console.log('    -> Success!');
-      console.log(approvalChainNext);
+    const testResults = await authorityClient.approvePayoutsTest(Object.assign({ approvalChain: null }, payload));
+    for (const result of testResults) {
+      console.log(`  Approval from Node ${result.index} at ${result.node.hostname} (${result.node.walletAddress}):`);
+      if (result.ok) {
+        console.log('    -> Success!');
+        console.log(result.data.approvalChain);
+      } else {
+        console.log(`    ${getStyledError(result.error.code, result.error.message)}`);
+        console.log('    -> Skipped');
+      }
     }
     console.log('\n');
+    const testedNodes = testResults.filter((x) => x.ok).map((x) => x.index);
+    if (testedNodes.length < publicSettings.authorityThreshold) {
+      throw new Error(`Only ${testedNodes.length} nodes passed the test, but ${publicSettings.authorityThreshold} are required`);
+    }
 
     if (!test) {
       console.log('Executing...');
-      for (const i in publicSettings.authorityNodes) {
+      let approvalChain = null;
+      let complete = false;
+      const signers = [];
+      for (const i of testedNodes) {
         const node = publicSettings.authorityNodes[i];
         console.log(`  Requesting approval from Node ${i} at ${node.hostname} (${node.walletAddress})...`);
-
-        const approvalChainNext = (await validateTimedAndSignedMessage(
-          (await post(`${getAuthorityLink(node)}/approvePayouts`, await createTimedAndSignedMessage({
-            depositTaxPayouts: depositTaxPayouts,
-            withdrawalPayouts: withdrawalPayouts,
-            withdrawalTaxPayouts: withdrawalTaxPayouts,
-            unspent: unspent,
-            approvalChain: approvalChain
-          }))),
-          node.walletAddress)).approvalChain;
-
-        approvalChain = approvalChainNext;
-        console.log('    -> Success!');
-        console.log(approvalChainNext);
+        const [result] = await authorityClient.approvePayouts(Object.assign({ approvalChain: approvalChain }, payload), [i]);
+        if (result.ok) {
+          approvalChain = result.data.approvalChain;
+          complete = result.data.complete;
+          signers.push(i);
+          console.log('    -> Success!');
+          console.log(approvalChain);
+        } else {
+          console.log(`    ${getStyledError(result.error.code, result.error.message)}`);
+          console.log('    -> Skipped');
+        }
+        if (complete) {
+          break;
+        }
+      }
+      console.log(`  Signed by Nodes ${signers.join(', ')}`);
+      if (!complete) {
+        throw new Error(`Transaction incomplete after signatures from Nodes ${signers.join(', ')}`);
       }
 
       console.log(`  Sending raw transaction:\n${approvalChain}`);
       const hash = await dingo.sendRawTranscation(approvalChain);
       console.log(`  Success! Transaction hash: ${hash}`);
       console.log('\n');
+
+      console.log('Notifying nodes of broadcast...');
+      printResults(await authorityClient.notifyPayoutBroadcast(approvalChain), (x) => `batch: ${x.payoutBatchId}, status: ${x.status}`);
+      console.log('\n');
+    }
+  };
+
+  const executePayoutsHandler = async (processDeposits, processWithdrawals, test) => {
+    console.log('Retrieving pending payouts...');
+    const { results: pendingPayoutsResults, payouts, skippedWithdrawals } = await authorityClient.collectPendingPayouts(processDeposits, processWithdrawals);
+    for (const result of pendingPayoutsResults) {
+      console.log(`  Node ${result.index} at ${result.node.hostname} (${result.node.walletAddress}):`);
+      if (result.ok) {
+        printPayouts('    ', result.data);
+      } else {
+        console.log(`    ${getStyledError(result.error.code, result.error.message)}`);
+        console.log('    -> Skipped');
+      }
+    }
+    console.log('\n');
+
+    console.log('Pending payouts consensus =');
+    printPayouts('  ', Object.assign({ skippedWithdrawals: skippedWithdrawals }, payouts));
+    console.log('\n');
+
+    console.log('Retrieving unspent...');
+    const { results: unspentResults, unspent } = await authorityClient.collectUnspent();
+    for (const result of unspentResults) {
+      console.log(`  Node ${result.index} at ${result.node.hostname} (${result.node.walletAddress}):`);
+      if (result.ok) {
+        for (const u of result.data.unspent) {
+          console.log(`      ${u.txid} -> ${u.amount}`);
+        }
+      } else {
+        console.log(`    ${getStyledError(result.error.code, result.error.message)}`);
+        console.log('    -> Skipped');
+      }
+    }
+    console.log('\n');
+
+    console.log('Unspent consensus = ');
+    for (const u of unspent) {
+      console.log(`    ${u.txid} -> ${u.amount}`);
+    }
+    console.log('\n');
+
+    const parts = coinSelection.splitPayouts(payouts, unspent, taxDistribution.getTaxPayeeAddresses(), dingoSettings.changeAddress,
+      publicSettings.authorityThreshold, publicSettings.authorityNodes.length, dingoSettings.coinSelection);
+    console.log(`Split into ${parts.length} transaction(s).`);
+    console.log('\n');
+
+    // Parts are independent, so that a failed part does not hold up the others.
+    const failedParts = [];
+    for (const i in parts) {
+      console.log(chalk.bold(`[Part ${parseInt(i) + 1} of ${parts.length}]`));
+      try {
+        await executePayoutsPart(parts[i], test);
+      } catch (err) {
+        console.log(getStyledError(null, err.message));
+        failedParts.push(parseInt(i) + 1);
+      }
+      console.log('\n');
+    }
+    if (failedParts.length > 0) {
+      throw new Error(`Parts ${failedParts.join(', ')} of ${parts.length} failed`);
     }
   };
   async function executePayouts(processDeposits, processWithdrawals) {
@@ -478,21 +577,219 @@ Available commands:
     await executePayoutsHandler(processDeposits, processWithdrawals, true);
   }
 
-  async function consensus() {
+  async function revertPayoutBatch(index, id) {
+    const [query] = await authorityClient.queryPayoutBatches({ id: parseInt(id) }, [parseInt(index)]);
+    if (!query.ok) {
+      return console.log(getStyledError(query.error.code, query.error.message));
+    }
+    if (query.data.payoutBatches.length === 0) {
+      return console.log(getStyledError(null, `Payout batch ${id} not found`));
+    }
+    const batch = query.data.payoutBatches[0];
+    console.log(`Reverting payout batch ${batch.id} (${batch.status}) spending ${batch.inputs}...`);
+
+    console.log('Retrieving the batch id on each node...');
+    const batches = await authorityClient.queryPayoutBatches({ inputs: batch.inputs });
+    printResults(batches, (x) => x.payoutBatches.length === 0 ? 'not found' : `batch: ${x.payoutBatches[0].id}, status: ${x.payoutBatches[0].status}`);
+    const payoutBatchIds = batches.map((x) => x.ok && x.data.payoutBatches.length > 0 ? x.data.payoutBatches[0].id : null);
+
+    console.log('Retrieving approvals from nodes...');
+    const approvals = await authorityClient.signPayoutBatchRevert(batch.inputs, batch.vouts, payoutBatchIds);
+    printResults(approvals, (x) => 'OK');
+    const approvalCount = approvals.filter((x) => x.ok).length;
+    if (approvalCount < publicSettings.authorityThreshold) {
+      return console.log(getStyledError(null, `Collected ${approvalCount} approvals, but ${publicSettings.authorityThreshold} are required. Aborting...`));
+    }
 
-    const stats = [];
-    for (const x of publicSettings.authorityNodes) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = smartContract.validateSignedMessage(await post(`${getAuthorityLink(x)}/stats`), x.walletAddress);
-        stats.push(result);
-        console.log('OK');
-      } catch (error) {
-        stats.push(undefined);
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
+    console.log('Reverting payout batch on nodes...');
+    printResults(await authorityClient.revertPayoutBatch(approvals.filter((x) => x.ok).map((x) => x.message)), (x) => `batch: ${x.payoutBatchId}, status: ${x.status}`);
+  }
+
+  async function proposeConfiguration(authorityAddresses, authorityThreshold, minBurnAmount, submit) {
+    if (authorityAddresses === undefined || authorityThreshold === undefined || minBurnAmount === undefined) {
+      throw new Error('Usage: proposeConfiguration <authorityAddresses> <authorityThreshold> <minBurnAmount> <submit>');
+    }
+    const newAuthorityAddresses = authorityAddresses.split(',');
+    const newAuthorityThreshold = parseInt(authorityThreshold);
+    const newMinBurnAmount = dingo.toSatoshi(minBurnAmount);
+    submit = submit === undefined ? false : parseBool(submit);
+
+    const configurationNonce = (await smartContract.getConfigurationNonce()).toString();
+    const currentAuthorityThreshold = parseInt(await smartContract.getAuthorityThreshold());
+    console.log(
+      chalk.bold('Proposed configuration:\n') +
+      `  configurationNonce: ${configurationNonce}\n` +
+      `  authorityAddresses: ${newAuthorityAddresses.join(',')}\n` +
+      `  authorityThreshold: ${newAuthorityThreshold}\n` +
+      `  minBurnAmount: ${dingo.fromSatoshi(newMinBurnAmount)} (= ${newMinBurnAmount} satoshi)`);
+
+    console.log(chalk.bold('Retrieving signatures from authority nodes...'));
+    const results = await authorityClient.signConfiguration({
+      configurationNonce: configurationNonce,
+      newAuthorityAddresses: newAuthorityAddresses,
+      newAuthorityThreshold: newAuthorityThreshold,
+      newMinBurnAmount: newMinBurnAmount
+    });
+    for (const result of results.filter((x) => x.ok)) {
+      if (result.data.configurationNonce !== configurationNonce
+        || JSON.stringify(result.data.newAuthorityAddresses) !== JSON.stringify(newAuthorityAddresses)
+        || result.data.newAuthorityThreshold !== newAuthorityThreshold
+        || result.data.newMinBurnAmount !== newMinBurnAmount) {
+        Object.assign(result, { ok: false, data: null, error: { code: null, message: 'Signed configuration differs from proposal' } });
       }
     }
+    printResults(results, (x) =>
+      `\n    signature (V): ${x.onContractVerification.v}\n` +
+      `    signature (R): ${x.onContractVerification.r}\n` +
+      `    signature (S): ${x.onContractVerification.s}`);
+
+    const signatureCount = results.filter((x) => x.ok).length;
+    if (signatureCount < currentAuthorityThreshold) {
+      return console.log(getStyledError(null, `Collected ${signatureCount} signatures, but the smart contract requires ${currentAuthorityThreshold}. Aborting...`));
+    }
+
+    const signV = results.map((x) => !x.ok ? 0 : x.data.onContractVerification.v);
+    const signR = results.map((x) => !x.ok ? '0x' + '0'.repeat(64) : x.data.onContractVerification.r);
+    const signS = results.map((x) => !x.ok ? '0x' + '0'.repeat(64) : x.data.onContractVerification.s);
+
+    if (!submit) {
+      console.log(
+        chalk.bold(`Use the following details to call, with any wallet, the \`configure\` function of the smart contract (https://bscscan.com/token/${smartContractSettings.contractAddress}#writeContract).\n`) +
+        chalk.red.bold('  (DO NOT COPY ANY WHITE SPACES OR YOUR TRANSACTION MAY FAIL!)\n') +
+        `  newAuthorityAddresses: ${newAuthorityAddresses.join(',')}\n` +
+        `  newAuthorityThreshold: ${newAuthorityThreshold}\n` +
+        `  newMinBurnAmount: ${newMinBurnAmount}\n` +
+        `  signV: ${signV.join(',')}\n` +
+        `  signR: ${signR.join(',')}\n` +
+        `  signS: ${signS.join(',')}`);
+      return;
+    }
+
+    console.log(chalk.bold('Submitting configuration to smart contract...'));
+    const receipt = await smartContract.configure(newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount, signV, signR, signS);
+    return `Success! Transaction hash: ${receipt.transactionHash}`;
+  }
+
+  async function voteCoordinator(index) {
+    const payoutCoordinator = parseInt(index);
+    const ownIndex = publicSettings.authorityNodes.findIndex((x) => x.walletAddress.toLowerCase() === smartContract.getAccountAddress().toLowerCase());
+    if (ownIndex === -1) {
+      throw new Error('Wallet is not an authority node');
+    }
+
+    console.log(`Creating vote for Node ${payoutCoordinator} as payout coordinator...`);
+    const [vote] = await authorityClient.createCoordinatorVote(payoutCoordinator, [ownIndex]);
+    if (!vote.ok) {
+      return console.log(getStyledError(vote.error.code, vote.error.message));
+    }
+    console.log(`  Vote for epoch ${vote.data.coordinatorEpoch} created`);
+
+    // First round shares this vote; second round shares every pending vote known to any node.
+    let votes = [vote.message];
+    for (const round of [1, 2]) {
+      console.log(`Sharing ${votes.length} vote(s) with nodes (round ${round})...`);
+      const results = await authorityClient.submitCoordinatorVotes(votes);
+      printResults(results, (x) => `epoch: ${x.coordinatorEpoch}, coordinator: ${x.payoutCoordinator}, pending votes: ${x.pendingVotes.length}`);
+      const pendingVotes = new Map();
+      for (const result of results.filter((x) => x.ok)) {
+        for (const v of result.data.pendingVotes) {
+          pendingVotes.set(v.signature, v);
+        }
+      }
+      votes = Array.from(pendingVotes.values());
+    }
+  }
+
+  async function health() {
+    const results = await authorityClient.health(null, walletLoaded);
+    const checkNames = ['dingod', 'bsc', 'authorityAddresses', 'database', 'certificate', 'wallet'];
+    const statusStyles = { OK: 'bgGreen', WARN: 'bgYellow', FAIL: 'bgRed' };
+    function statusFormatter(x) {
+      const status = x.split(':')[0];
+      return status in statusStyles ? this.style(x, statusStyles[status], 'black') : x;
+    }
+
+    const rows = results.map((x, i) => {
+      if (!x.ok) {
+        return [i.toString(), 'UNREACHABLE', x.error.message].concat(Array(checkNames.length - 1).fill(''));
+      }
+      return [i.toString(), x.data.status].concat(checkNames.map((y) => x.data.checks[y] === undefined ? '' : `${x.data.checks[y].status}: ${x.data.checks[y].detail}`));
+    });
+    const header = [
+      { alias: 'Node', width: 8 },
+      { alias: 'Status', width: 13, formatter: function (x) { return x === 'UNREACHABLE' ? this.style(x, 'bgRed', 'black') : statusFormatter.call(this, x); } },
+      { alias: 'dingod', width: 24, formatter: statusFormatter },
+      { alias: 'BSC', width: 24, formatter: statusFormatter },
+      { alias: 'Contract Authorities', width: 24, formatter: statusFormatter },
+      { alias: 'Database', width: 24, formatter: statusFormatter },
+      { alias: 'SSL Certificate', width: 24, formatter: statusFormatter },
+      { alias: 'Wallet', width: 24, formatter: statusFormatter }
+    ];
+    console.log('\n  [Health]' + Table(header, rows).render());
+  }
+
+  async function reserves() {
+    const results = await authorityClient.reserves();
+    function satoshiCell(x) {
+      return x === '' ? '' : dingo.fromSatoshi(x);
+    }
+    function consensusCell(cell, columnIndex, rowIndex, rowData) {
+      const values = new Set(rowData.map((x) => x[columnIndex]).filter((x) => x !== ''));
+      return values.size <= 1 ? this.style('YES', 'bgGreen', 'black') : this.style('NO', 'bgRed', 'black');
+    }
+
+    const rows = results.map((x, i) => {
+      if (!x.ok) {
+        return ['UNREACHABLE' + i].concat(Array(10).fill(''));
+      }
+      const r = x.data;
+      return [
+        i.toString(),
+        r.valDingoHeight.toString(),
+        r.totalSupply,
+        r.holdings.changeBalance,
+        r.holdings.depositsBalance,
+        r.holdings.unconfirmedPayoutChange,
+        r.liabilities.total,
+        r.reserves,
+        r.surplus,
+        r.coverageBps === null ? 'N/A' : `${(Number(r.coverageBps) / 100).toFixed(2)}%`,
+        r.backed ? 'YES' : 'NO'
+      ];
+    });
+    const header = [
+      { alias: 'Node', width: 11, formatter: function (x) {
+        return x.startsWith('UNREACHABLE') ? this.style(x.replace('UNREACHABLE', ''), 'bgRed', 'black') : this.style(x, 'bgWhite', 'black');
+      }},
+      { alias: 'Dingo Height' },
+      { alias: 'wDingo Supply', formatter: satoshiCell },
+      { alias: 'Change', formatter: satoshiCell },
+      { alias: 'Deposits', formatter: satoshiCell },
+      { alias: 'Unconfirmed Payout Change', formatter: satoshiCell },
+      { alias: 'Liabilities', formatter: satoshiCell },
+      { alias: 'Reserves', formatter: satoshiCell },
+      { alias: 'Surplus', formatter: satoshiCell },
+      { alias: 'Coverage' },
+      { alias: 'Backed', formatter: function (x) {
+        return x === '' ? '' : this.style(x, x === 'YES' ? 'bgGreen' : 'bgRed', 'black');
+      }}
+    ];
+    // Nodes sign at their own Dingo heights, which need not agree.
+    const footer = ['Consensus', function (cell, columnIndex, rowIndex, rowData) { return ''; }].concat(Array(header.length - 2).fill(consensusCell));
+    console.log('\n  [Reserves]' + Table(header, rows, footer).render());
+
+    for (const i in results) {
+      if (!results[i].ok) {
+        console.log(`  Node ${i}: ${getStyledError(results[i].error.code, results[i].error.message)}`);
+      }
+    }
+  }
+
+  async function consensus() {
+
+    const results = await authorityClient.stats();
+    printResults(results, (x) => 'OK');
+    const stats = results.map((x) => x.ok ? x.data : undefined);
 
 
     // Shared configurations.
@@ -538,7 +835,7 @@ Available commands:
     for (const i in stats) {
       const stat = stats[i];
       if (stat === undefined) {
-        versionFlattened.push(['UNREACHABLE' + i, '', '', '', '', '']);
+        versionFlattened.push(['UNREACHABLE' + i, '', '', '', '', '', '', '']);
       } else {
         versionFlattened.push([
           i,
@@ -547,6 +844,7 @@ Available commands:
           (new Date(stat.version.timestamp)).toUTCString(),
           stat.version.clean ? 'Yes' : 'No',
           stat.version.dingoVersion === undefined ? '' : stat.version.dingoVersion.toString(),
+          stat.version.schemaVersion === undefined ? '' : stat.version.schemaVersion.toString(),
           stat.time === undefined ? '' : (new Date(stat.time).toUTCString())
         ]);
       }
@@ -558,12 +856,14 @@ Available commands:
       { alias: 'Commit Timestamp' },
       { alias: 'Clean', formatter: function (x) { return x === 'Yes' ? this.style('YES', 'bgGreen', 'black') :  this.style('NO', 'bgRed', 'black'); }  },
       { alias: 'Dingo Version' },
+      { alias: 'Schema Version' },
       { alias: 'Stats Time'}
     ];
     const versionFooter = ['Consensus']
       .concat(Array(3).fill(consensusCell))
       .concat([function (cell, columnIndex, rowIndex, rowData) { return ''; }])
       .concat(consensusCell)
+      .concat(consensusCell)
       .concat([function (cell, columnIndex, rowIndex, rowData) { return ''; }]);
     s += '  [Version]'
     s += Table(versionHeader, versionFlattened, versionFooter).render();
@@ -597,12 +897,42 @@ Available commands:
     s += Table(publicSettingsHeader, publicSettingsFlattened, publicSettingsFooter).render();
 
 
+    // Payout coordinator.
+    const coordinatorFlattened = [];
+    for (const i in stats) {
+      const stat = stats[i];
+      if (stat === undefined) {
+        coordinatorFlattened.push(['UNREACHABLE' + i, '', '', '']);
+      } else {
+        try {
+          coordinatorFlattened.push([
+            i,
+            stat.coordinator.coordinatorEpoch.toString(),
+            stat.coordinator.payoutCoordinator.toString(),
+            stat.coordinator.pendingVotes.map((x) => `${x.voterIndex}->${x.payoutCoordinator}`).join(' ')
+          ]);
+        } catch {
+          coordinatorFlattened.push([i, '', '', '']);
+        }
+      }
+    }
+    const coordinatorHeader = [
+      nodeHeader,
+      { alias: 'Epoch' },
+      { alias: 'Active Coordinator' },
+      { alias: 'Pending Votes (Voter->Coordinator)', width: 40 }
+    ];
+    const coordinatorFooter = ['Consensus'].concat(Array(coordinatorHeader.length - 1).fill(consensusCell));
+    s += '\n\n  [Payout Coordinator]'
+    s += Table(coordinatorHeader, coordinatorFlattened, coordinatorFooter).render();
+
+
     // Dingo settings.
     const dingoSettingsFlattened = [];
     for (const i in stats) {
       const stat = stats[i];
       if (stat === undefined) {
-        dingoSettingsFlattened.push(['UNREACHABLE' + i, '', '', '', '']);
+        dingoSettingsFlattened.push(['UNREACHABLE' + i, '', '', '', '', '']);
       } else {
         try {
           dingoSettingsFlattened.push([
@@ -610,10 +940,11 @@ Available commands:
             stat.dingoSettings.changeAddress,
             stat.dingoSettings.changeConfirmations.toString(),
             stat.dingoSettings.depositConfirmations.toString(),
-            stat.dingoSettings.taxPayoutAddresses.join(' ')
+            stat.dingoSettings.taxPayees.map((x) => `${x.address} (${x.weight})`).join(' '),
+            `max ${stat.dingoSettings.coinSelection.maxInputs} inputs, consolidating up to ${stat.dingoSettings.coinSelection.maxConsolidationInputs} below ${stat.dingoSettings.coinSelection.consolidationThreshold}`
           ]);
         } catch {
-          dingoSettingsFlattened.push([i, '', '', '', '']);
+          dingoSettingsFlattened.push([i, '', '', '', '', '']);
         }
       }
     }
@@ -622,13 +953,54 @@ Available commands:
       { alias: 'Change Address' },
       { alias: 'Change Confirmations' },
       { alias: 'Deposit Confirmations' },
-      { alias: 'Tax Payout Addresses', width: 45 }
+      { alias: 'Tax Payees (Weight)', width: 45 },
+      { alias: 'Coin Selection', width: 24 }
     ];
     const dingoSettingsFooter = ['Consensus'].concat(Array(dingoSettingsHeader.length - 1).fill(consensusCell));
     s += '\n\n  [Dingo Settings]'
     s += Table(dingoSettingsHeader, dingoSettingsFlattened, dingoSettingsFooter).render();
 
 
+    // Fee policy. The full schedule must agree, as nodes otherwise reject each other's payouts.
+    const formatFees = (x) => `${x.flatFee} + ${x.rateBps} bps, min ${x.minimum}, cap ${x.cap === null ? 'none' : x.cap}`;
+    const formatNetworkFee = (x) => x.estimateFee
+      ? `estimatefee(${x.estimateBlocks}) in ${x.minFeeRate}..${x.maxFeeRate}, else ${x.feeRate} / kB`
+      : `${x.feeRate} / kB`;
+    const feePolicyFlattened = [];
+    for (const i in stats) {
+      const stat = stats[i];
+      if (stat === undefined) {
+        feePolicyFlattened.push(['UNREACHABLE' + i, '', '', '', '', '']);
+      } else {
+        try {
+          feePolicyFlattened.push([
+            i,
+            stat.feePolicy.height.toString(),
+            formatFees(stat.feePolicy.current.deposit),
+            formatFees(stat.feePolicy.current.withdrawal),
+            `${stat.feePolicy.current.dustThreshold} / ${formatNetworkFee(stat.feePolicy.current.networkFee)}`,
+            stat.feePolicy.schedule.map((x) =>
+              `[${x.fromHeight}] D: ${formatFees(x.deposit)}; W: ${formatFees(x.withdrawal)}; ${x.dustThreshold} / ${formatNetworkFee(x.networkFee)}`).join(' ')
+          ]);
+        } catch {
+          feePolicyFlattened.push([i, '', '', '', '', '']);
+        }
+      }
+    }
+    const feePolicyHeader = [
+      nodeHeader,
+      { alias: 'Height' },
+      { alias: 'Deposit Fees', width: 24 },
+      { alias: 'Withdrawal Fees', width: 24 },
+      { alias: 'Dust / Network Fee' },
+      { alias: 'Schedule', width: 45 }
+    ];
+    const feePolicyFooter = ['Consensus', function (cell, columnIndex, rowIndex, rowData) { return ''; }]
+      .concat(Array(feePolicyHeader.length - 2).fill(consensusCell));
+    s += '\n\n  [Fee Policy]'
+    s += Table(feePolicyHeader, feePolicyFlattened, feePolicyFooter).render();
+
+
     // Smart contract settings.
     const smartContractSettingsFlattened = [];
     for (const i in stats) {
@@ -759,6 +1131,34 @@ Available commands:
     s += Table(withdrawalHeader, withdrawalStatsFlattened, withdrawalFooter, { truncate: '...' }).render();
 
 
+    // Dust credits.
+    const dustCreditStatsFlattened = [];
+    for (const i in stats) {
+      const stat = stats[i];
+      if (stat === undefined) {
+        dustCreditStatsFlattened.push(['UNREACHABLE' + i, '', '']);
+      } else {
+        try {
+          dustCreditStatsFlattened.push([
+            i,
+            stat.dustCredits.count.toString(),
+            stat.dustCredits.totalAmount
+          ]);
+        } catch (e) {
+          dustCreditStatsFlattened.push([i, '', '']);
+        }
+      }
+    }
+    const dustCreditHeader = [
+      nodeHeader,
+      { alias: "Recipients" },
+      { alias: "Outstanding Credits", formatter: satoshiFormatter, width: dingoWidth }
+    ];
+    const dustCreditFooter = ['Consensus'].concat(Array(dustCreditHeader.length - 1).fill(consensusCell));
+    s += '\n\n  [Dust Credits]';
+    s += Table(dustCreditHeader, dustCreditStatsFlattened, dustCreditFooter, { truncate: '...' }).render();
+
+
     // UTXOs.
     const confirmedUtxoStatsFlattened = [];
     for (const i in stats) {
@@ -817,33 +1217,56 @@ Available commands:
     console.log(s);
   }
 
-  async function log(index) {
-    const result = await post(`${getAuthorityLink(publicSettings.authorityNodes[parseInt(index)])}/log`,
-      await createTimedAndSignedMessage({}));
-    console.log(result.log);
+
+  async function log(index, ...filterArgs) {
+    if (index === undefined) {
+      throw new Error('Usage: log <nodeIndex> [<filter>=<value> ...]');
+    }
+    const filters = {};
+    for (const arg of filterArgs) {
+      const i = arg.indexOf('=');
+      const key = arg.slice(0, i);
+      const value = arg.slice(i + 1);
+      if (i === -1 || !['from', 'to', 'level', 'route', 'requestId', 'search', 'offset', 'limit'].includes(key)) {
+        throw new Error(`Unknown log filter: ${arg}`);
+      }
+      // Times may be given as milliseconds since epoch, or as date strings.
+      filters[key] = key === 'offset' || key === 'limit' || ((key === 'from' || key === 'to') && /^[0-9]+$/.test(value)) ? parseInt(value) : value;
+    }
+
+    const [result] = await authorityClient.log(filters, [parseInt(index)]);
+    if (!result.ok) {
+      return console.log(getStyledError(result.error.code, result.error.message));
+    }
+    const levelStyles = { debug: chalk.gray, info: chalk.bold, warn: chalk.yellow.bold, error: chalk.red.bold };
+    for (const entry of result.data.entries) {
+      const { time, level, message, error, ...fields } = entry;
+      console.log(`${time} ${levelStyles[level](level.toUpperCase())} ${message}` + (Object.keys(fields).length === 0 ? '' : ` ${chalk.gray(JSON.stringify(fields))}`));
+      if (error !== undefined) {
+        console.log(chalk.gray(error));
+      }
+    }
+    if (result.data.hasMore) {
+      console.log(chalk.bold(`More entries with offset=${(filters.offset === undefined ? 0 : filters.offset) + result.data.entries.length}`));
+    }
   }
 
   async function syncDatabase(index) {
     console.log('Downloading database...');
-    const result = await post(`${getAuthorityLink(publicSettings.authorityNodes[parseInt(index)])}/dumpDatabase`,
-      await createTimedAndSignedMessage({}));
+    const [result] = await authorityClient.dumpDatabase([parseInt(index)]);
+    if (!result.ok) {
+      return console.log(getStyledError(result.error.code, result.error.message));
+    }
     console.log('Overwriting local database...');
-    await database.reset(databaseSettings.databasePath, result.sql);
+    await database.load(databaseSettings);
+    await database.restore(result.data.dump);
+    await database.close();
     console.log('Done!');
   }
 
   async function dingoDoesAHarakiri(index) {
     console.log('Sending suicide signal to nodes...');
-    for (const x of (index === undefined ? publicSettings.authorityNodes : [publicSettings.authorityNodes[parseInt(index)]])) {
-      process.stdout.write(`  ${getStyledAuthorityLink(x)} ${chalk.bold('->')} `);
-      try {
-        const result = await post(`${getAuthorityLink(x)}/dingoDoesAHarakiri`, await createTimedAndSignedMessage({}));
-        console.log('OK');
-      } catch (error) {
-        if (error.response) { console.log(getStyledError(error.response.statusCode, error.response.body)); }
-        else { console.log(getStyledError(null, error.message)); }
-      }
-    }
+    printResults(await authorityClient.dingoDoesAHarakiri(index === undefined ? null : [parseInt(index)]), (x) => 'OK');
   }
 
 
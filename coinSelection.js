@@ -0,0 +1,166 @@
+"use strict";
+
+const dingo = require('./dingo');
+const feePolicy = require('./feePolicy.js');
+
+// Deterministic selection of payout transaction inputs, so that every authority node arrives at
+// the same inputs from the same candidate UTXOs (see coinSelection in settings/dingo.json):
+//   maxInputs: most inputs spent by a payout transaction.
+//   consolidationThreshold: deposit UTXOs below this amount are preferably consolidated.
+//   maxConsolidationInputs: most such UTXOs added on top of those covering the payouts.
+//   maxOutputs, maxTransactionSize: limits of a payout transaction, beyond which the payout
+//     coordinator splits payouts into several transactions.
+//
+// Amounts in settings are in DINGO, and amounts in and out of this module are in satoshis.
+
+module.exports = {
+  selectUnspent,
+  getPayoutsAmount,
+  estimatePayoutSize,
+  splitPayouts
+};
+
+function compareUnspent(a, b) {
+  const amountA = BigInt(dingo.toSatoshi(a.amount.toString()));
+  const amountB = BigInt(dingo.toSatoshi(b.amount.toString()));
+  if (amountA !== amountB) {
+    return amountA < amountB ? -1 : 1;
+  }
+  if (a.txid !== b.txid) {
+    return a.txid < b.txid ? -1 : 1;
+  }
+  return a.vout - b.vout;
+}
+
+// Selects inputs covering amount from unspent: the largest UTXOs until amount is covered, then the
+// smallest deposit UTXOs (i.e. not at changeAddress) for consolidation, within maxInputs overall.
+function selectUnspent(unspent, amount, changeAddress, coinSelectionSettings) {
+  const maxInputs = coinSelectionSettings.maxInputs;
+  const consolidationThreshold = BigInt(dingo.toSatoshi(coinSelectionSettings.consolidationThreshold));
+  const maxConsolidationInputs = coinSelectionSettings.maxConsolidationInputs;
+
+  const ascending = unspent.slice().sort(compareUnspent);
+  const selected = new Set();
+
+  // Cover amount.
+  let total = 0n;
+  for (const x of ascending.slice().reverse()) {
+    if (total >= BigInt(amount)) {
+      break;
+    }
+    if (selected.size >= maxInputs) {
+      throw new Error(`Unable to cover payouts within ${maxInputs} inputs`);
+    }
+    selected.add(x);
+    total += BigInt(dingo.toSatoshi(x.amount.toString()));
+  }
+  if (total < BigInt(amount)) {
+    throw new Error('Insufficient funds');
+  }
+
+  // Consolidate small deposits with any inputs to spare.
+  let consolidated = 0;
+  for (const x of ascending) {
+    if (selected.size >= maxInputs || consolidated >= maxConsolidationInputs) {
+      break;
+    }
+    if (BigInt(dingo.toSatoshi(x.amount.toString())) >= consolidationThreshold) {
+      break;
+    }
+    if (x.address !== changeAddress && !selected.has(x)) {
+      selected.add(x);
+      consolidated++;
+    }
+  }
+
+  return ascending.filter((x) => selected.has(x));
+}
+
+// Amount which the inputs of a payout transaction must cover: all payouts including taxes (the
+// network fee is paid out of taxes), and the dust credits paid out along with them.
+function getPayoutsAmount(payouts) {
+  return payouts.depositTaxPayouts.concat(payouts.withdrawalPayouts).concat(payouts.withdrawalTaxPayouts).concat(payouts.dustCredits)
+    .reduce((a, b) => a + BigInt(b.amount), 0n);
+}
+
+// Outputs of a payout transaction are the withdrawal destinations, the dust credit recipients, the
+// tax payees and the change, which is counted even if it ends up empty so that every node arrives
+// at the same estimate.
+function countPayoutOutputs(withdrawalPayouts, dustCredits, taxPayoutAddresses, changeAddress) {
+  return new Set(withdrawalPayouts.map((x) => x.burnDestination).concat(dustCredits.map((x) => x.address))
+    .concat(taxPayoutAddresses).concat([changeAddress])).size;
+}
+
+// Estimated size in bytes of a payout transaction spending unspent from m-of-n multisig addresses.
+function estimatePayoutSize(withdrawalPayouts, dustCredits, unspent, taxPayoutAddresses, changeAddress, m, n) {
+  return dingo.estimateTransactionSize(unspent.length, countPayoutOutputs(withdrawalPayouts, dustCredits, taxPayoutAddresses, changeAddress), m, n);
+}
+
+// Splits payouts (as from authorityClient.collectPendingPayouts) into parts of at most maxOutputs
+// outputs and maxTransactionSize bytes, each with its own candidate UTXOs, i.e. those not selected
+// by earlier parts. Every part is a payout of its own, in which the authority nodes select the
+// inputs among its candidates. A deposit or withdrawal which fits in no transaction (e.g. due to
+// insufficient funds) is left in a part of its own, so that it fails without affecting the others.
+// Dust credits come last, so that they are paid out along with other payouts where they fit.
+function splitPayouts(payouts, unspent, taxPayoutAddresses, changeAddress, m, n, coinSelectionSettings) {
+  const items = payouts.withdrawalPayouts.map((x, i) => {
+    return { withdrawalPayout: x, withdrawalTaxPayout: payouts.withdrawalTaxPayouts[i] };
+  }).concat(payouts.depositTaxPayouts.map((x) => {
+    return { depositTaxPayout: x };
+  })).concat(payouts.dustCredits.map((x) => {
+    return { dustCredit: x };
+  }));
+
+  const toPayouts = (items) => {
+    return {
+      depositTaxPayouts: items.filter((x) => x.depositTaxPayout !== undefined).map((x) => x.depositTaxPayout),
+      withdrawalPayouts: items.filter((x) => x.withdrawalPayout !== undefined).map((x) => x.withdrawalPayout),
+      withdrawalTaxPayouts: items.filter((x) => x.withdrawalPayout !== undefined).map((x) => x.withdrawalTaxPayout),
+      dustCredits: items.filter((x) => x.dustCredit !== undefined).map((x) => x.dustCredit),
+      feeHeight: payouts.feeHeight,
+      feeRate: payouts.feeRate
+    };
+  };
+  const select = (partPayouts, pool) => {
+    return selectUnspent(pool, getPayoutsAmount(partPayouts), changeAddress, coinSelectionSettings);
+  };
+  const fits = (partPayouts, pool) => {
+    let selected = null;
+    try {
+      selected = select(partPayouts, pool);
+    } catch (err) {
+      return false;
+    }
+    const size = estimatePayoutSize(partPayouts.withdrawalPayouts, partPayouts.dustCredits, selected, taxPayoutAddresses, changeAddress, m, n);
+    const tax = partPayouts.depositTaxPayouts.concat(partPayouts.withdrawalTaxPayouts).reduce((a, b) => a + BigInt(b.amount), 0n);
+    return countPayoutOutputs(partPayouts.withdrawalPayouts, partPayouts.dustCredits, taxPayoutAddresses, changeAddress) <= coinSelectionSettings.maxOutputs
+      && size <= coinSelectionSettings.maxTransactionSize
+      && feePolicy.networkFeeAmount(size, payouts.feeRate) <= tax;
+  };
+
+  const parts = [];
+  let pool = unspent;
+  let current = [];
+  const closePart = () => {
+    const partPayouts = toPayouts(current);
+    let selected = [];
+    try {
+      selected = select(partPayouts, pool);
+    } catch (err) {
+      // Fails again when the nodes select inputs, so leave the pool as is.
+    }
+    parts.push({ payouts: partPayouts, unspent: pool });
+    pool = pool.filter((x) => !selected.includes(x));
+    current = [];
+  };
+  for (const item of items) {
+    if (current.length > 0 && !fits(toPayouts(current.concat([item])), pool)) {
+      closePart();
+    }
+    current.push(item);
+  }
+  if (current.length > 0) {
+    closePart();
+  }
+  return parts;
+}
@@ -1,16 +1,30 @@
 "use strict";
 
-const childProcess = require('child_process');
-const sqlite3 = require('sqlite3')
-const util = require('util');
+const AsyncLock = require('async-lock');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger.js');
 
-let db = null;
+const MIGRATIONS_PATH = path.join(__dirname, 'database', 'migrations');
+
+// Storage backend, as selected by settings/database.json. Every backend provides:
+//   run(sql, params) -> { lastID, changes }, get(sql, params) -> row or undefined,
+//   all(sql, params) -> rows, exec(sql) for multiple statements without params,
+//   listTables() -> table names, resetSequence(table) after restoring ids, and close().
+// Queries are written in the SQLite dialect, and backends translate them where needed.
+let backend = null;
 let dbLock = null;
+let schemaVersion = null;
 
 module.exports = {
   dump,
-  reset,
+  restore,
   load,
+  close,
+  getSchemaVersion,
+  transaction,
+  checkRead,
+  checkReadWrite,
 
   hasUsedDepositAddresses,
   registerUsedDepositAddresses,
@@ -24,54 +38,202 @@ module.exports = {
   getWithdrawal,
   getWithdrawals,
   getUnapprovedWithdrawals,
-  updateWithdrawals
+  updateWithdrawals,
+
+  createPayoutRun,
+  updatePayoutRun,
+  getLatestPayoutRun,
+  getLatestBroadcastPayoutRun,
+  getPayoutRunsByStatus,
+  getPayoutRunByTxid,
+
+  registerCoordinatorVote,
+  getCoordinatorVotes,
+  registerCoordinatorHandover,
+  getLatestCoordinatorHandover,
+
+  registerMessageNonce,
+  pruneMessageNonces,
+
+  createPayoutBatch,
+  updatePayoutBatch,
+  getPayoutBatch,
+  getPayoutBatchByInputs,
+  getPayoutBatchesByStatus,
+  getPayoutBatches,
+  getPayoutBatchByWithdrawal,
+  registerPayoutBatchDepositTaxes,
+  getPayoutBatchDepositTaxes,
+  getPayoutBatchWithdrawals,
+  registerPayoutBatchTaxPayouts,
+  getPayoutBatchTaxPayouts,
+  getTaxLedger,
+  getDustCredits,
+  registerPayoutBatchDustCredits,
+  getPayoutBatchDustCredits,
+  revertPayoutBatch,
+
+  getBurnWatcherCursor,
+  updateBurnWatcherCursor,
+
+  createNotificationSubscription,
+  getNotificationSubscription,
+  getNotificationSubscriptions,
+  countNotificationSubscriptions,
+  deleteNotificationSubscription,
+  queueNotificationEvents,
+  getDueNotifications,
+  updateNotification
 };
 
-async function dump(path) {
-  return (await util.promisify(childProcess.exec)(`sqlite3 ${path} ".dump"`)).stdout;
+// Dumps every table as JSON rows, in a format which any backend can restore.
+async function dump() {
+  const tables = {};
+  for (const table of (await backend.listTables()).sort()) {
+    tables[table] = await backend.all(`SELECT * FROM ${table}`);
+  }
+  return { schemaVersion: schemaVersion, tables: tables };
 }
 
-async function reset(path, sql) {
-  try {
-    childProcess.execSync(`rm ${path}`, { stdio : 'ignore' });
-  } catch (err) {
+// Replaces the contents of every table with that of the dump, which must be of the same schema version.
+function restore(data) {
+  if (data.schemaVersion !== schemaVersion) {
+    throw new Error(`Dump schema version ${data.schemaVersion} does not match database schema version ${schemaVersion}`);
   }
-  const child = childProcess.spawn(`sqlite3`);
-  child.stdin.setEncoding('utf-8');
-  child.stdin.write(`.open ${path}\n`);
-  child.stdin.write(sql);
-  child.stdin.write('\n');
-  child.stdin.end();
+  return transaction(async () => {
+    const tables = await backend.listTables();
+    for (const table of tables) {
+      if (!(table in data.tables)) {
+        throw new Error(`Dump missing table ${table}`);
+      }
+      await backend.run(`DELETE FROM ${table}`);
+      for (const row of data.tables[table]) {
+        const columns = Object.keys(row);
+        await backend.run(
+          `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((x) => '?')})`,
+          columns.map((x) => row[x])
+        );
+      }
+      await backend.resetSequence(table);
+    }
+  });
 }
 
-function load(path) {
-  db = new sqlite3.Database(path);
+// Opens the database, creating it if necessary, and applies pending migrations.
+// databaseSettings.backend is one of sqlite (default, at databasePath), memory or postgres.
+async function load(databaseSettings) {
+  const backendName = databaseSettings.backend === undefined ? 'sqlite' : databaseSettings.backend;
+  if (backendName === 'sqlite') {
+    backend = await require('./databaseSqlite.js').open(databaseSettings.databasePath);
+  } else if (backendName === 'memory') {
+    backend = await require('./databaseSqlite.js').open(':memory:');
+  } else if (backendName === 'postgres') {
+    backend = await require('./databasePostgres.js').open(databaseSettings.postgres);
+  } else {
+    throw new Error(`Unknown database backend ${backendName}`);
+  }
+  dbLock = new AsyncLock();
+  await migrate();
+}
+
+function close() {
+  return backend.close();
+}
+
+// Runs fn inside a SQL transaction, committing if it resolves and rolling back if it throws.
+// Transactions are serialized, but share the connection with statements outside of them, so
+// callers should still hold their own write lock. Transactions cannot be nested.
+function transaction(fn) {
+  return dbLock.acquire('transaction', async () => {
+    await backend.exec('BEGIN');
+    try {
+      const result = await fn();
+      await backend.exec('COMMIT');
+      return result;
+    } catch (err) {
+      await backend.exec('ROLLBACK');
+      throw err;
+    }
+  });
+}
+
+// Reads the schema version from the database, without writing.
+async function checkRead() {
+  return (await backend.get('SELECT MAX(version) AS version FROM schemaMigrations')).version;
+}
+
+// Writes and reads back a row, for health checks. Must run inside the DB write lock.
+function checkReadWrite() {
+  return transaction(async () => {
+    const time = Date.now();
+    await backend.run('DELETE FROM healthChecks WHERE id=0');
+    await backend.run('INSERT INTO healthChecks (id, time) VALUES (0, ?)', [time]);
+    const result = await backend.get('SELECT time FROM healthChecks WHERE id=0');
+    if (result === undefined || parseInt(result.time) !== time) {
+      throw new Error('Written row not read back');
+    }
+  });
+}
+
+function getSchemaVersion() {
+  return schemaVersion;
+}
+
+// Migrations are database/migrations/NNNN_<name>.sql, applied in order of NNNN, each in its own transaction.
+function getMigrations() {
+  return fs.readdirSync(MIGRATIONS_PATH)
+    .filter((x) => /^[0-9]+_.*\.sql$/.test(x))
+    .map((x) => { return { version: parseInt(x.split('_')[0]), name: x, path: path.join(MIGRATIONS_PATH, x) }; })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function migrate() {
+  await backend.run(
+    'CREATE TABLE IF NOT EXISTS schemaMigrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, time INTEGER NOT NULL)'
+  );
+  schemaVersion = (await backend.get('SELECT MAX(version) AS version FROM schemaMigrations')).version || 0;
+
+  const migrations = getMigrations();
+  const latestVersion = migrations.length === 0 ? 0 : migrations[migrations.length - 1].version;
+  if (schemaVersion > latestVersion) {
+    throw new Error(`Database schema version ${schemaVersion} is newer than the latest supported version ${latestVersion}`);
+  }
+
+  for (const m of migrations.filter((x) => x.version > schemaVersion)) {
+    logger.info(`Migrating database to schema version ${m.version} (${m.name})...`);
+    await transaction(async () => {
+      await backend.exec(fs.readFileSync(m.path, 'utf8'));
+      await backend.run(
+        'INSERT INTO schemaMigrations (version, name, time) VALUES (?, ?, ?)',
+        [m.version, m.name, Date.now()]
+      );
+    });
+    schemaVersion = m.version;
+  }
 }
 
 async function hasUsedDepositAddresses(depositAddresses) {
-  return (await util.promisify(db.get.bind(db))(
-    `SELECT COUNT(*) from usedDepositAddresses WHERE address IN (${depositAddresses.map(x => '?')})`,
+  return (await backend.get(
+    `SELECT COUNT(*) AS count from usedDepositAddresses WHERE address IN (${depositAddresses.map(x => '?')})`,
     depositAddresses
-  ))['COUNT(*)'] > 0;
+  )).count > 0;
 }
 
 async function registerUsedDepositAddresses(depositAddresses) {
-  const statement = db.prepare('INSERT INTO usedDepositAddresses (address) VALUES (?)');
   for (const depositAddress of depositAddresses) {
-    await util.promisify(statement.run.bind(statement))([depositAddress]);
+    await backend.run('INSERT INTO usedDepositAddresses (address) VALUES (?)', [depositAddress]);
   }
-  statement.finalize();
 }
 
 function registerMintDepositAddress(mintAddress, depositAddress, redeemScript) {
-  return util.promisify(db.run.bind(db))(
+  return backend.run(
     'INSERT INTO mintDepositAddresses (mintAddress, depositAddress, redeemScript) VALUES (?, ?, ?)',
     [mintAddress, depositAddress, redeemScript]
   );
 }
 
 async function getMintDepositAddress(mintAddress) {
-  const results = await util.promisify(db.all.bind(db)) (
+  const results = await backend.all(
     'SELECT depositAddress FROM mintDepositAddresses WHERE mintAddress=?',
     [mintAddress]
   );
@@ -86,34 +248,32 @@ async function getMintDepositAddress(mintAddress) {
 
 function getMintDepositAddresses(filterDepositAddresses) {
   if (filterDepositAddresses !== null && filterDepositAddresses !== undefined) {
-    return util.promisify(db.all.bind(db))(
+    return backend.all(
       `SELECT mintAddress, depositAddress, approvedTax FROM mintDepositAddresses WHERE depositAddress IN (${filterDepositAddresses.map(x => '?')})`,
       filterDepositAddresses
     );
   } else {
-    return util.promisify(db.all.bind(db))(`SELECT mintAddress, depositAddress, approvedTax FROM mintDepositAddresses`);
+    return backend.all(`SELECT mintAddress, depositAddress, approvedTax FROM mintDepositAddresses`);
   }
 }
 
-// TODO: Maybe warn that only the approvedTax field will be updated.
+// Only the approvedTax field is updated.
 async function updateMintDepositAddresses(mintDepositAddresses) {
-  const stmt = db.prepare(`UPDATE mintDepositAddresses SET approvedTax=? WHERE depositAddress=?`);
   for (const a of mintDepositAddresses) {
-    await stmt.run(a.approvedTax, a.depositAddress);
+    await backend.run(`UPDATE mintDepositAddresses SET approvedTax=? WHERE depositAddress=?`, [a.approvedTax, a.depositAddress]);
   }
-  stmt.finalize();
 }
 
 function registerWithdrawal(burnAddress, burnIndex) {
-  return util.promisify(db.run.bind(db))(
+  return backend.run(
     'INSERT INTO withdrawals (burnAddress, burnIndex) VALUES (?, ?)',
     [burnAddress, burnIndex]
   );
 }
 
 async function getWithdrawal(burnAddress, burnIndex) {
-  const result = await util.promisify(db.all.bind(db))(
-    `SELECT burnAddress, burnIndex, approvedAmount, approvedTax from withdrawals WHERE burnAddress=? AND burnIndex=?`,
+  const result = await backend.all(
+    `SELECT burnAddress, burnIndex, approvedAmount, approvedTax, payoutBatchId from withdrawals WHERE burnAddress=? AND burnIndex=?`,
     [burnAddress, burnIndex]
   );
   if (result.length === 0) {
@@ -126,21 +286,380 @@ async function getWithdrawal(burnAddress, burnIndex) {
 }
 
 function getWithdrawals() {
-  return util.promisify(db.all.bind(db))(
-    `SELECT burnAddress, burnIndex, approvedAmount, approvedTax FROM withdrawals`
+  return backend.all(
+    `SELECT burnAddress, burnIndex, approvedAmount, approvedTax, payoutBatchId FROM withdrawals`
   );
 }
 
 function getUnapprovedWithdrawals() {
-  return util.promisify(db.all.bind(db))(
-    `SELECT burnAddress, burnIndex, approvedAmount, approvedTax FROM withdrawals WHERE approvedTax="0"`
+  return backend.all(
+    `SELECT burnAddress, burnIndex, approvedAmount, approvedTax FROM withdrawals WHERE payoutBatchId IS NULL AND approvedAmount='0' AND approvedTax='0'`
   );
 }
 
 async function updateWithdrawals(withdrawals) {
-  const stmt = db.prepare(`UPDATE withdrawals SET approvedAmount=?, approvedTax=? WHERE burnAddress=? AND burnIndex=?`);
   for (const w of withdrawals) {
-    await stmt.run(w.approvedAmount, w.approvedTax, w.burnAddress, w.burnIndex);
+    await backend.run(
+      `UPDATE withdrawals SET approvedAmount=?, approvedTax=?, payoutBatchId=? WHERE burnAddress=? AND burnIndex=?`,
+      [w.approvedAmount, w.approvedTax, w.payoutBatchId, w.burnAddress, w.burnIndex]
+    );
+  }
+}
+
+function parsePayoutRun(run) {
+  if (run === undefined) {
+    return null;
+  }
+  run.payouts = run.payouts === null ? null : JSON.parse(run.payouts);
+  run.unspent = run.unspent === null ? null : JSON.parse(run.unspent);
+  run.signers = JSON.parse(run.signers);
+  return run;
+}
+
+async function createPayoutRun(run) {
+  return (await backend.run(
+    'INSERT INTO payoutRuns (roundId, part, startTime, updateTime, status, payouts, unspent, approvalChain, signers, txid, error) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [run.roundId, run.part, run.startTime, Date.now(), run.status, JSON.stringify(run.payouts), JSON.stringify(run.unspent), run.approvalChain, JSON.stringify(run.signers), run.txid, run.error]
+  )).lastID;
+}
+
+function updatePayoutRun(run) {
+  return backend.run(
+    'UPDATE payoutRuns SET roundId=?, updateTime=?, status=?, payouts=?, unspent=?, approvalChain=?, signers=?, txid=?, error=? WHERE id=?',
+    [run.roundId, Date.now(), run.status, JSON.stringify(run.payouts), JSON.stringify(run.unspent), run.approvalChain, JSON.stringify(run.signers), run.txid, run.error, run.id]
+  );
+}
+
+async function getLatestPayoutRun() {
+  return parsePayoutRun(await backend.get(
+    'SELECT * FROM payoutRuns ORDER BY id DESC LIMIT 1'
+  ));
+}
+
+async function getLatestBroadcastPayoutRun() {
+  return parsePayoutRun(await backend.get(
+    `SELECT * FROM payoutRuns WHERE status='BROADCAST' ORDER BY id DESC LIMIT 1`
+  ));
+}
+
+async function getPayoutRunsByStatus(status) {
+  return (await backend.all(
+    'SELECT * FROM payoutRuns WHERE status=? ORDER BY id',
+    [status]
+  )).map(parsePayoutRun);
+}
+
+async function getPayoutRunByTxid(txid) {
+  return parsePayoutRun(await backend.get(
+    'SELECT * FROM payoutRuns WHERE txid=?',
+    [txid]
+  ));
+}
+
+function registerCoordinatorVote(epoch, voterIndex, payoutCoordinator, vote) {
+  return backend.run(
+    `INSERT INTO coordinatorVotes (epoch, voterIndex, payoutCoordinator, vote) VALUES (?, ?, ?, ?)
+     ON CONFLICT (epoch, voterIndex) DO UPDATE SET payoutCoordinator=excluded.payoutCoordinator, vote=excluded.vote`,
+    [epoch, voterIndex, payoutCoordinator, JSON.stringify(vote)]
+  );
+}
+
+async function getCoordinatorVotes(epoch) {
+  const results = await backend.all(
+    'SELECT epoch, voterIndex, payoutCoordinator, vote FROM coordinatorVotes WHERE epoch=? ORDER BY voterIndex',
+    [epoch]
+  );
+  for (const r of results) {
+    r.vote = JSON.parse(r.vote);
   }
-  stmt.finalize();
+  return results;
+}
+
+function registerCoordinatorHandover(epoch, payoutCoordinator) {
+  return backend.run(
+    'INSERT INTO coordinatorHandovers (epoch, payoutCoordinator, time) VALUES (?, ?, ?)',
+    [epoch, payoutCoordinator, Date.now()]
+  );
+}
+
+async function getLatestCoordinatorHandover() {
+  const result = await backend.get(
+    'SELECT epoch, payoutCoordinator, time FROM coordinatorHandovers ORDER BY epoch DESC LIMIT 1'
+  );
+  return result === undefined ? null : result;
+}
+
+// Resolves to false if the nonce has been seen before.
+async function registerMessageNonce(nonce, requestId, signer, valDingoHeight) {
+  return (await backend.run(
+    'INSERT INTO messageNonces (nonce, requestId, signer, valDingoHeight, time) VALUES (?, ?, ?, ?, ?) ON CONFLICT (nonce) DO NOTHING',
+    [nonce, requestId, signer, valDingoHeight, Date.now()]
+  )).changes === 1;
+}
+
+function pruneMessageNonces(minValDingoHeight) {
+  return backend.run(
+    'DELETE FROM messageNonces WHERE valDingoHeight < ?',
+    [minValDingoHeight]
+  );
+}
+
+function parsePayoutBatch(batch) {
+  if (batch === undefined) {
+    return null;
+  }
+  batch.unspent = JSON.parse(batch.unspent);
+  batch.vouts = JSON.parse(batch.vouts);
+  return batch;
+}
+
+async function createPayoutBatch(batch) {
+  return (await backend.run(
+    'INSERT INTO payoutBatches (createTime, updateTime, status, inputs, unspent, vouts, approvalChain, txid) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [Date.now(), Date.now(), batch.status, batch.inputs, JSON.stringify(batch.unspent), JSON.stringify(batch.vouts), batch.approvalChain, batch.txid]
+  )).lastID;
+}
+
+function updatePayoutBatch(batch) {
+  return backend.run(
+    'UPDATE payoutBatches SET updateTime=?, status=?, approvalChain=?, txid=? WHERE id=?',
+    [Date.now(), batch.status, batch.approvalChain, batch.txid, batch.id]
+  );
+}
+
+async function getPayoutBatch(id) {
+  return parsePayoutBatch(await backend.get(
+    'SELECT * FROM payoutBatches WHERE id=?',
+    [id]
+  ));
+}
+
+// Latest batch spending exactly the given inputs, excluding failed ones.
+async function getPayoutBatchByInputs(inputs) {
+  return parsePayoutBatch(await backend.get(
+    `SELECT * FROM payoutBatches WHERE inputs=? AND status<>'FAILED' ORDER BY id DESC LIMIT 1`,
+    [inputs]
+  ));
+}
+
+async function getPayoutBatchesByStatus(status) {
+  return (await backend.all(
+    'SELECT * FROM payoutBatches WHERE status=? ORDER BY id',
+    [status]
+  )).map(parsePayoutBatch);
+}
+
+async function getPayoutBatches(limit) {
+  return (await backend.all(
+    'SELECT * FROM payoutBatches ORDER BY id DESC LIMIT ?',
+    [limit]
+  )).map(parsePayoutBatch);
+}
+
+async function getPayoutBatchByWithdrawal(burnAddress, burnIndex) {
+  return parsePayoutBatch(await backend.get(
+    'SELECT payoutBatches.* FROM payoutBatches INNER JOIN withdrawals ON withdrawals.payoutBatchId=payoutBatches.id WHERE withdrawals.burnAddress=? AND withdrawals.burnIndex=?',
+    [burnAddress, burnIndex]
+  ));
+}
+
+async function registerPayoutBatchDepositTaxes(payoutBatchId, depositTaxPayouts) {
+  for (const p of depositTaxPayouts) {
+    await backend.run('INSERT INTO payoutBatchDepositTaxes (payoutBatchId, depositAddress, amount) VALUES (?, ?, ?)', [payoutBatchId, p.depositAddress, p.amount]);
+  }
+}
+
+function getPayoutBatchDepositTaxes(payoutBatchId) {
+  return backend.all(
+    'SELECT depositAddress, amount FROM payoutBatchDepositTaxes WHERE payoutBatchId=? ORDER BY id',
+    [payoutBatchId]
+  );
+}
+
+function getPayoutBatchWithdrawals(payoutBatchId) {
+  return backend.all(
+    'SELECT burnAddress, burnIndex, approvedAmount, approvedTax FROM withdrawals WHERE payoutBatchId=? ORDER BY id',
+    [payoutBatchId]
+  );
+}
+
+async function registerPayoutBatchTaxPayouts(payoutBatchId, taxPayouts) {
+  for (const p of taxPayouts) {
+    await backend.run('INSERT INTO payoutBatchTaxPayouts (payoutBatchId, address, amount) VALUES (?, ?, ?)', [payoutBatchId, p.address, p.amount]);
+  }
+}
+
+function getPayoutBatchTaxPayouts(payoutBatchId) {
+  return backend.all(
+    'SELECT address, amount FROM payoutBatchTaxPayouts WHERE payoutBatchId=? ORDER BY id',
+    [payoutBatchId]
+  );
+}
+
+// Tax paid to each tax payee, per payout batch, newest first. Limits to the latest limit batches if given.
+function getTaxLedger(limit=null) {
+  const sql = 'SELECT t.payoutBatchId, b.status, b.txid, b.createTime, t.address, t.amount FROM payoutBatchTaxPayouts t ' +
+    'JOIN payoutBatches b ON b.id=t.payoutBatchId';
+  if (limit === null) {
+    return backend.all(`${sql} ORDER BY t.payoutBatchId DESC, t.id`);
+  }
+  return backend.all(
+    `${sql} WHERE t.payoutBatchId IN (SELECT id FROM payoutBatches ORDER BY id DESC LIMIT ?) ORDER BY t.payoutBatchId DESC, t.id`,
+    [limit]
+  );
+}
+
+function getDustCredits() {
+  return backend.all('SELECT address, amount FROM dustCredits ORDER BY address');
+}
+
+async function addDustCredit(address, amount) {
+  const credit = await backend.get('SELECT amount FROM dustCredits WHERE address=?', [address]);
+  const total = (credit === undefined ? 0n : BigInt(credit.amount)) + BigInt(amount);
+  if (total < 0n) {
+    throw new Error(`Dust credit of ${address} would become negative`);
+  }
+  await backend.run('DELETE FROM dustCredits WHERE address=?', [address]);
+  if (total > 0n) {
+    await backend.run('INSERT INTO dustCredits (address, amount, updateTime) VALUES (?, ?, ?)', [address, total.toString(), Date.now()]);
+  }
+}
+
+// Must run inside a transaction. Each change adds amount (negative when paid out) to the credit of address.
+async function registerPayoutBatchDustCredits(payoutBatchId, changes) {
+  for (const c of changes) {
+    await addDustCredit(c.address, c.amount);
+    await backend.run('INSERT INTO payoutBatchDustCredits (payoutBatchId, address, amount) VALUES (?, ?, ?)', [payoutBatchId, c.address, c.amount]);
+  }
+}
+
+function getPayoutBatchDustCredits(payoutBatchId) {
+  return backend.all(
+    'SELECT address, amount FROM payoutBatchDustCredits WHERE payoutBatchId=? ORDER BY id',
+    [payoutBatchId]
+  );
+}
+
+// Rolls back the deposit taxes, withdrawals and dust credits approved in the batch, and marks it as reverted.
+// Withdrawals are only ever approved once, so their approved amounts are reset entirely.
+function revertPayoutBatch(payoutBatchId) {
+  return transaction(async () => {
+    const depositTaxes = await getPayoutBatchDepositTaxes(payoutBatchId);
+    const depositAddresses = {};
+    (await getMintDepositAddresses(depositTaxes.map((x) => x.depositAddress))).forEach((x) => depositAddresses[x.depositAddress] = x);
+    for (const p of depositTaxes) {
+      const a = depositAddresses[p.depositAddress];
+      a.approvedTax = (BigInt(a.approvedTax) - BigInt(p.amount)).toString();
+    }
+    await updateMintDepositAddresses(Object.values(depositAddresses));
+    for (const c of await getPayoutBatchDustCredits(payoutBatchId)) {
+      await addDustCredit(c.address, (-BigInt(c.amount)).toString());
+    }
+    await backend.run(
+      `UPDATE withdrawals SET approvedAmount='0', approvedTax='0', payoutBatchId=NULL WHERE payoutBatchId=?`,
+      [payoutBatchId]
+    );
+    await backend.run(
+      `UPDATE payoutBatches SET updateTime=?, status='REVERTED' WHERE id=?`,
+      [Date.now(), payoutBatchId]
+    );
+  });
+}
+
+// The burn watcher keeps a single cursor: the last BSC block it has scanned, and its hash for detecting reorgs.
+async function getBurnWatcherCursor() {
+  const result = await backend.get('SELECT blockNumber, blockHash FROM burnWatcherCursor WHERE id=0');
+  return result === undefined ? null : result;
+}
+
+function updateBurnWatcherCursor(blockNumber, blockHash) {
+  return transaction(async () => {
+    await backend.run('DELETE FROM burnWatcherCursor WHERE id=0');
+    await backend.run(
+      'INSERT INTO burnWatcherCursor (id, blockNumber, blockHash, updateTime) VALUES (0, ?, ?, ?)',
+      [blockNumber, blockHash, Date.now()]
+    );
+  });
+}
+
+function parseNotificationSubscription(subscription) {
+  if (subscription === undefined) {
+    return null;
+  }
+  subscription.state = JSON.parse(subscription.state);
+  return subscription;
+}
+
+async function createNotificationSubscription(subscription) {
+  return (await backend.run(
+    'INSERT INTO notificationSubscriptions (address, addressType, kind, target, unsubscribeToken, state, createTime) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [subscription.address, subscription.addressType, subscription.kind, subscription.target, subscription.unsubscribeToken, JSON.stringify(subscription.state), Date.now()]
+  )).lastID;
+}
+
+async function getNotificationSubscription(id) {
+  return parseNotificationSubscription(await backend.get(
+    'SELECT * FROM notificationSubscriptions WHERE id=?',
+    [id]
+  ));
+}
+
+async function getNotificationSubscriptions() {
+  return (await backend.all(
+    'SELECT * FROM notificationSubscriptions ORDER BY id'
+  )).map(parseNotificationSubscription);
+}
+
+// Counts the subscriptions for address, or all subscriptions if address is null.
+async function countNotificationSubscriptions(address=null) {
+  if (address === null) {
+    return parseInt((await backend.get('SELECT COUNT(*) AS count FROM notificationSubscriptions')).count);
+  }
+  return parseInt((await backend.get(
+    'SELECT COUNT(*) AS count FROM notificationSubscriptions WHERE address=?',
+    [address]
+  )).count);
+}
+
+// Undelivered events of the subscription are dropped with it.
+function deleteNotificationSubscription(id) {
+  return transaction(async () => {
+    await backend.run(`DELETE FROM notificationOutbox WHERE subscriptionId=? AND status='PENDING'`, [id]);
+    await backend.run('DELETE FROM notificationSubscriptions WHERE id=?', [id]);
+  });
+}
+
+// Records the state notified to the subscription together with the events leading up to it.
+function queueNotificationEvents(subscriptionId, state, events) {
+  return transaction(async () => {
+    const time = Date.now();
+    for (const event of events) {
+      await backend.run(
+        `INSERT INTO notificationOutbox (subscriptionId, event, status, attempts, nextAttemptTime, error, createTime, updateTime) VALUES (?, ?, 'PENDING', 0, ?, NULL, ?, ?)`,
+        [subscriptionId, JSON.stringify(event), time, time, time]
+      );
+    }
+    await backend.run('UPDATE notificationSubscriptions SET state=? WHERE id=?', [JSON.stringify(state), subscriptionId]);
+  });
+}
+
+// Pending events which are due for (re)delivery, with the kind and target of their subscription.
+async function getDueNotifications(time, limit) {
+  return (await backend.all(
+    `SELECT o.id, o.subscriptionId, o.event, o.status, o.attempts, o.nextAttemptTime, o.error, s.kind, s.target
+    FROM notificationOutbox o JOIN notificationSubscriptions s ON s.id=o.subscriptionId
+    WHERE o.status='PENDING' AND o.nextAttemptTime<=? ORDER BY o.id LIMIT ?`,
+    [time, limit]
+  )).map((x) => {
+    x.event = JSON.parse(x.event);
+    return x;
+  });
+}
+
+// Only the delivery fields are updated.
+function updateNotification(notification) {
+  return backend.run(
+    'UPDATE notificationOutbox SET status=?, attempts=?, nextAttemptTime=?, error=?, updateTime=? WHERE id=?',
+    [notification.status, notification.attempts, notification.nextAttemptTime, notification.error, Date.now(), notification.id]
+  );
 }
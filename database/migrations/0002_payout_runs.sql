@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS payoutRuns (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  startTime INTEGER NOT NULL,
+  updateTime INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  payouts TEXT,
+  unspent TEXT,
+  approvalChain TEXT,
+  signers TEXT NOT NULL DEFAULT '[]',
+  txid TEXT,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_payoutRuns_status ON payoutRuns (status);
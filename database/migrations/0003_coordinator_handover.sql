@@ -0,0 +1,14 @@
+CREATE TABLE IF NOT EXISTS coordinatorVotes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  epoch INTEGER NOT NULL,
+  voterIndex INTEGER NOT NULL,
+  payoutCoordinator INTEGER NOT NULL,
+  vote TEXT NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coordinatorVotes_epoch_voterIndex ON coordinatorVotes (epoch, voterIndex);
+
+CREATE TABLE IF NOT EXISTS coordinatorHandovers (
+  epoch INTEGER PRIMARY KEY,
+  payoutCoordinator INTEGER NOT NULL,
+  time INTEGER NOT NULL
+);
@@ -0,0 +1,8 @@
+CREATE TABLE IF NOT EXISTS messageNonces (
+  nonce TEXT PRIMARY KEY,
+  requestId TEXT NOT NULL,
+  signer TEXT NOT NULL,
+  valDingoHeight INTEGER NOT NULL,
+  time INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_messageNonces_valDingoHeight ON messageNonces (valDingoHeight);
@@ -0,0 +1,25 @@
+CREATE TABLE IF NOT EXISTS payoutBatches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  createTime INTEGER NOT NULL,
+  updateTime INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  inputs TEXT NOT NULL,
+  unspent TEXT NOT NULL,
+  vouts TEXT NOT NULL,
+  approvalChain TEXT,
+  txid TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_payoutBatches_inputs ON payoutBatches (inputs);
+CREATE INDEX IF NOT EXISTS idx_payoutBatches_status ON payoutBatches (status);
+CREATE INDEX IF NOT EXISTS idx_payoutBatches_txid ON payoutBatches (txid);
+
+CREATE TABLE IF NOT EXISTS payoutBatchDepositTaxes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  payoutBatchId INTEGER NOT NULL,
+  depositAddress TEXT NOT NULL,
+  amount TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_payoutBatchDepositTaxes_payoutBatchId ON payoutBatchDepositTaxes (payoutBatchId);
+CREATE INDEX IF NOT EXISTS idx_payoutBatchDepositTaxes_depositAddress ON payoutBatchDepositTaxes (depositAddress);
+
+ALTER TABLE withdrawals ADD COLUMN payoutBatchId INTEGER;
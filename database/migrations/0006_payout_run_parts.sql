@@ -0,0 +1,3 @@
+ALTER TABLE payoutRuns ADD COLUMN roundId INTEGER;
+ALTER TABLE payoutRuns ADD COLUMN part INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_payoutRuns_roundId ON payoutRuns (roundId);
@@ -0,0 +1,8 @@
+CREATE TABLE IF NOT EXISTS payoutBatchTaxPayouts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  payoutBatchId INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  amount TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_payoutBatchTaxPayouts_payoutBatchId ON payoutBatchTaxPayouts (payoutBatchId);
+CREATE INDEX IF NOT EXISTS idx_payoutBatchTaxPayouts_address ON payoutBatchTaxPayouts (address);
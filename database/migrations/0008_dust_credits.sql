@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS dustCredits (
+  address TEXT PRIMARY KEY,
+  amount TEXT NOT NULL,
+  updateTime INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS payoutBatchDustCredits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  payoutBatchId INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  amount TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_payoutBatchDustCredits_payoutBatchId ON payoutBatchDustCredits (payoutBatchId);
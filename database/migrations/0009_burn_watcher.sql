@@ -0,0 +1,6 @@
+CREATE TABLE IF NOT EXISTS burnWatcherCursor (
+  id INTEGER PRIMARY KEY,
+  blockNumber INTEGER NOT NULL,
+  blockHash TEXT NOT NULL,
+  updateTime INTEGER NOT NULL
+);
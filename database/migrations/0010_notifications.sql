@@ -0,0 +1,24 @@
+CREATE TABLE IF NOT EXISTS notificationSubscriptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  address TEXT NOT NULL,
+  addressType TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  target TEXT NOT NULL,
+  unsubscribeToken TEXT NOT NULL,
+  state TEXT NOT NULL,
+  createTime INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_notificationSubscriptions_address ON notificationSubscriptions (address);
+
+CREATE TABLE IF NOT EXISTS notificationOutbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subscriptionId INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  nextAttemptTime INTEGER NOT NULL,
+  error TEXT,
+  createTime INTEGER NOT NULL,
+  updateTime INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_notificationOutbox_status_nextAttemptTime ON notificationOutbox (status, nextAttemptTime);
@@ -0,0 +1,4 @@
+CREATE TABLE IF NOT EXISTS healthChecks (
+  id INTEGER PRIMARY KEY,
+  time INTEGER NOT NULL
+);
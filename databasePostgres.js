@@ -0,0 +1,71 @@
+"use strict";
+
+// PostgreSQL storage backend for database.js.
+//
+// Queries and migrations are written in the SQLite dialect, and translated here: placeholders
+// become $n, camelCase identifiers are quoted to keep their case, and integer columns become
+// BIGINT (timestamps are in milliseconds), parsed back into numbers.
+
+module.exports = {
+  open
+};
+
+async function open(settings) {
+  const pg = require('pg');
+  pg.types.setTypeParser(20, (x) => parseInt(x)); // BIGINT
+  const client = new pg.Client(settings);
+  await client.connect();
+  return createBackend(client);
+}
+
+function translate(sql) {
+  let index = 0;
+  // Odd parts are string literals, which are left untouched.
+  return sql.split(/('(?:[^']|'')*')/).map((part, i) => i % 2 === 1 ? part : part
+    .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/g, 'BIGSERIAL PRIMARY KEY')
+    .replace(/\bINTEGER\b/g, 'BIGINT')
+    .replace(/\b([a-z]+[A-Z][A-Za-z0-9]*)\b/g, '"$1"')
+    .replace(/\?/g, () => `$${++index}`)
+  ).join('');
+}
+
+function createBackend(client) {
+  return {
+    run: async (sql, params=[]) => {
+      let query = translate(sql);
+      if (/^\s*INSERT\b/i.test(query)) {
+        query += ' RETURNING *';
+      }
+      const result = await client.query(query, params);
+      return {
+        lastID: result.rows !== undefined && result.rows.length > 0 ? result.rows[0].id : undefined,
+        changes: result.rowCount
+      };
+    },
+    get: async (sql, params=[]) => {
+      return (await client.query(translate(sql), params)).rows[0];
+    },
+    all: async (sql, params=[]) => {
+      return (await client.query(translate(sql), params)).rows;
+    },
+    exec: async (sql) => {
+      await client.query(translate(sql));
+    },
+    listTables: async () => {
+      return (await client.query(`SELECT table_name FROM information_schema.tables WHERE table_schema=current_schema() AND table_type='BASE TABLE'`)).rows.map((x) => x.table_name);
+    },
+    resetSequence: async (table) => {
+      const columns = (await client.query(`SELECT column_name FROM information_schema.columns WHERE table_schema=current_schema() AND table_name=$1`, [table])).rows;
+      if (!columns.some((x) => x.column_name === 'id')) {
+        return;
+      }
+      const sequence = (await client.query('SELECT pg_get_serial_sequence($1, $2) AS sequence', [`"${table}"`, 'id'])).rows[0].sequence;
+      if (sequence !== null) {
+        await client.query(`SELECT setval($1, COALESCE((SELECT MAX(id) FROM "${table}"), 0) + 1, false)`, [sequence]);
+      }
+    },
+    close: () => {
+      return client.end();
+    }
+  };
+}
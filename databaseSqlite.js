@@ -0,0 +1,65 @@
+"use strict";
+
+const sqlite3 = require('sqlite3');
+
+// SQLite storage backend for database.js. Path ':memory:' gives an in-memory database.
+
+module.exports = {
+  open
+};
+
+function open(path) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(path, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(createBackend(db));
+      }
+    });
+  });
+}
+
+function createBackend(db) {
+  return {
+    run: (sql, params=[]) => {
+      return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ lastID: this.lastID, changes: this.changes });
+          }
+        });
+      });
+    },
+    get: (sql, params=[]) => {
+      return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+      });
+    },
+    all: (sql, params=[]) => {
+      return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+      });
+    },
+    exec: (sql) => {
+      return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => err ? reject(err) : resolve());
+      });
+    },
+    listTables: async () => {
+      return (await new Promise((resolve, reject) => {
+        db.all(`SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'`, (err, rows) => err ? reject(err) : resolve(rows));
+      })).map((x) => x.name);
+    },
+    resetSequence: async (table) => {
+      // AUTOINCREMENT sequences follow explicitly inserted ids.
+    },
+    close: () => {
+      return new Promise((resolve, reject) => {
+        db.close((err) => err ? reject(err) : resolve());
+      });
+    }
+  };
+}
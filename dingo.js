@@ -6,6 +6,7 @@ const crypto = require('crypto');
 const Web3 = require('web3');
 const os = require("os");
 const sort = require('fast-sort').sort;
+const metrics = require('./metrics.js');
 
 const DINGO_COOKIE_PATH = '~/.dingocoin/.cookie'.replace('~', os.homedir);
 const DINGO_PORT = 34646;
@@ -17,9 +18,12 @@ module.exports = {
   verifyAddress,
   getClientVersion,
   getBlockchainInfo,
+  getPeerInfo,
+  getWalletInfo,
   getTxOutSetInfo,
   getBlockHash,
   getTransaction,
+  getTxOut,
   getNewAddress,
   createMultisig,
   importAddress,
@@ -29,6 +33,8 @@ module.exports = {
   listUnspent,
   decodeRawTranscation,
   createRawTransaction,
+  estimateTransactionSize,
+  estimateFee,
   signRawTransaction,
   verifyRawTransaction,
   sendRawTranscation
@@ -63,7 +69,7 @@ async function callRpc(method, params) {
       body: JSON.stringify( {"jsonrpc": "1.0", "method": method, "params": params})
   };
 
-  return new Promise((resolve, reject) => {
+  return metrics.timeRpc('dingod', method, new Promise((resolve, reject) => {
     request(options, (err, resp, body) => {
       if (err) {
         return reject(err);
@@ -78,7 +84,7 @@ async function callRpc(method, params) {
         }
       }
     });
-  });
+  }));
 }
 
 async function verifyAddress(address) {
@@ -93,6 +99,14 @@ function getBlockchainInfo() {
   return callRpc('getblockchaininfo', []);
 }
 
+function getPeerInfo() {
+  return callRpc('getpeerinfo', []);
+}
+
+function getWalletInfo() {
+  return callRpc('getwalletinfo', []);
+}
+
 function getTxOutSetInfo() {
   return callRpc('gettxoutsetinfo', []);
 }
@@ -109,6 +123,16 @@ function getTransaction(hash) {
   return callRpc('gettransaction', [hash]);
 }
 
+// Resolves to null if the output is spent, including by transactions in the mempool.
+function getTxOut(txid, vout) {
+  return callRpc('gettxout', [txid, vout, true]);
+}
+
+// Resolves to the fee rate in DINGO per kB for confirmation within blocks, or -1 if unknown.
+function estimateFee(blocks) {
+  return callRpc('estimatefee', [blocks]);
+}
+
 async function getNewAddress() {
   return (await callRpc('validateaddress', [await callRpc('getnewaddress', [])])).pubkey;
 }
@@ -167,8 +191,28 @@ function createRawTransaction(unspent, payouts) {
   return callRpc('createrawtransaction', [unspent, payouts]);
 }
 
+function varIntSize(x) {
+  return x < 0xfd ? 1 : x <= 0xffff ? 3 : 5;
+}
+
+function pushDataSize(x) {
+  return (x < 0x4c ? 1 : x <= 0xff ? 2 : 3) + x;
+}
+
+// Upper bound on the serialized size in bytes of a transaction spending P2SH m-of-n multisig
+// inputs (compressed keys, maximum size signatures) to P2PKH / P2SH outputs.
+function estimateTransactionSize(inputCount, outputCount, m, n) {
+  const redeemScriptSize = 1 + n * pushDataSize(33) + 1 + 1; // OP_m <pubkeys> OP_n OP_CHECKMULTISIG.
+  const scriptSigSize = 1 + m * pushDataSize(72) + pushDataSize(redeemScriptSize); // OP_0 <sigs> <redeemScript>.
+  const inputSize = 32 + 4 + varIntSize(scriptSigSize) + scriptSigSize + 4;
+  const outputSize = 8 + 1 + 25; // P2PKH scripts are the larger of the two.
+  return 4 + varIntSize(inputCount) + inputCount * inputSize + varIntSize(outputCount) + outputCount * outputSize + 4;
+}
+
+// Returns the signed hex, and whether the transaction has all required signatures.
 async function signRawTransaction(hex) {
-  return (await callRpc('signrawtransaction', [hex])).hex;
+  const result = await callRpc('signrawtransaction', [hex]);
+  return { hex: result.hex, complete: result.complete };
 }
 
 async function verifyRawTransaction(unspent, payouts, hex) {
@@ -0,0 +1,182 @@
+"use strict";
+
+const dingo = require('./dingo');
+
+// Bridge fee policy, scheduled by Dingo block height (see feePolicy in settings/dingo.json).
+//
+// Each schedule entry takes effect from its fromHeight, and sets for deposits and withdrawals:
+//   minimum: smallest amount which is accepted (and taxed) at all.
+//   flatFee: fee charged on every amount.
+//   rateBps: fee charged on the amount above flatFee, in basis points.
+//   cap: largest total fee, or null for none.
+// as well as the dustThreshold below which payout outputs are dropped, and the networkFee paid
+// from taxes for each payout transaction, by its estimated size:
+//   feeRate: fee rate per kB.
+//   estimateFee: whether the payout coordinator instead uses estimatefee on dingod for
+//     confirmation within estimateBlocks, bounded by minFeeRate and maxFeeRate.
+//
+// Amounts in settings are in DINGO, and amounts in and out of this module are in satoshis.
+
+let schedule = null;
+
+module.exports = {
+  load,
+  getSchedule,
+  getFeePolicy,
+  meetsTax,
+  taxAmount,
+  amountAfterTax,
+  getDustThreshold,
+  chooseFeeRate,
+  validateFeeRate,
+  networkFeeAmount
+};
+
+function parseFees(type, fees) {
+  const result = {
+    minimum: BigInt(dingo.toSatoshi(fees.minimum)),
+    flatFee: BigInt(dingo.toSatoshi(fees.flatFee)),
+    rateBps: BigInt(fees.rateBps),
+    cap: fees.cap === null || fees.cap === undefined ? null : BigInt(dingo.toSatoshi(fees.cap))
+  };
+  if (!Number.isInteger(fees.rateBps) || fees.rateBps < 0 || fees.rateBps > 10000) {
+    throw new Error(`Invalid ${type} rateBps ${fees.rateBps}`);
+  }
+  if (result.minimum < result.flatFee) {
+    throw new Error(`${type} minimum below flatFee`);
+  }
+  if (result.cap !== null && result.cap < result.flatFee) {
+    throw new Error(`${type} cap below flatFee`);
+  }
+  return result;
+}
+
+function parseNetworkFee(networkFee) {
+  const result = {
+    feeRate: BigInt(dingo.toSatoshi(networkFee.feeRate)),
+    estimateFee: networkFee.estimateFee === true,
+    estimateBlocks: networkFee.estimateBlocks,
+    minFeeRate: BigInt(dingo.toSatoshi(networkFee.minFeeRate)),
+    maxFeeRate: BigInt(dingo.toSatoshi(networkFee.maxFeeRate))
+  };
+  if (result.estimateFee && (!Number.isInteger(result.estimateBlocks) || result.estimateBlocks <= 0)) {
+    throw new Error(`Invalid networkFee estimateBlocks ${networkFee.estimateBlocks}`);
+  }
+  if (result.feeRate < result.minFeeRate || result.feeRate > result.maxFeeRate) {
+    throw new Error('networkFee feeRate outside of minFeeRate and maxFeeRate');
+  }
+  return result;
+}
+
+function load(feePolicySettings) {
+  if (!Array.isArray(feePolicySettings) || feePolicySettings.length === 0) {
+    throw new Error('Fee policy schedule missing');
+  }
+  schedule = feePolicySettings.map((x) => {
+    if (!Number.isInteger(x.fromHeight) || x.fromHeight < 0) {
+      throw new Error(`Invalid fee policy fromHeight ${x.fromHeight}`);
+    }
+    return {
+      fromHeight: x.fromHeight,
+      deposit: parseFees('deposit', x.deposit),
+      withdrawal: parseFees('withdrawal', x.withdrawal),
+      dustThreshold: BigInt(dingo.toSatoshi(x.dustThreshold)),
+      networkFee: parseNetworkFee(x.networkFee)
+    };
+  }).sort((a, b) => a.fromHeight - b.fromHeight);
+  if (schedule[0].fromHeight !== 0) {
+    throw new Error('Fee policy schedule must start from height 0');
+  }
+}
+
+// Schedule in settings format, for comparison across nodes.
+function getSchedule() {
+  return schedule.map((x) => {
+    const formatFees = (fees) => {
+      return {
+        flatFee: dingo.fromSatoshi(fees.flatFee.toString()),
+        rateBps: Number(fees.rateBps),
+        minimum: dingo.fromSatoshi(fees.minimum.toString()),
+        cap: fees.cap === null ? null : dingo.fromSatoshi(fees.cap.toString())
+      };
+    };
+    return {
+      fromHeight: x.fromHeight,
+      deposit: formatFees(x.deposit),
+      withdrawal: formatFees(x.withdrawal),
+      dustThreshold: dingo.fromSatoshi(x.dustThreshold.toString()),
+      networkFee: {
+        feeRate: dingo.fromSatoshi(x.networkFee.feeRate.toString()),
+        estimateFee: x.networkFee.estimateFee,
+        estimateBlocks: x.networkFee.estimateBlocks,
+        minFeeRate: dingo.fromSatoshi(x.networkFee.minFeeRate.toString()),
+        maxFeeRate: dingo.fromSatoshi(x.networkFee.maxFeeRate.toString())
+      }
+    };
+  });
+}
+
+function getFeePolicy(height) {
+  let result = schedule[0];
+  for (const x of schedule) {
+    if (x.fromHeight <= height) {
+      result = x;
+    }
+  }
+  return result;
+}
+
+// type is 'deposit' or 'withdrawal'.
+function meetsTax(type, x, height) {
+  return BigInt(x) >= getFeePolicy(height)[type].minimum;
+}
+
+function taxAmount(type, x, height) {
+  if (!meetsTax(type, x, height)) {
+    throw new Error('Amount fails to meet tax');
+  }
+  const fees = getFeePolicy(height)[type];
+  const tax = fees.flatFee + (BigInt(x) - fees.flatFee) * fees.rateBps / 10000n;
+  return (fees.cap !== null && tax > fees.cap ? fees.cap : tax).toString();
+}
+
+function amountAfterTax(type, x, height) {
+  return (BigInt(x) - BigInt(taxAmount(type, x, height))).toString();
+}
+
+function getDustThreshold(height) {
+  return getFeePolicy(height).dustThreshold;
+}
+
+// Fee rate in satoshis per kB for a payout at height, as chosen by the payout coordinator.
+async function chooseFeeRate(height) {
+  const networkFee = getFeePolicy(height).networkFee;
+  if (!networkFee.estimateFee) {
+    return networkFee.feeRate.toString();
+  }
+  const estimate = await dingo.estimateFee(networkFee.estimateBlocks);
+  if (estimate <= 0) {
+    return networkFee.feeRate.toString();
+  }
+  const feeRate = BigInt(dingo.toSatoshi(estimate.toFixed(8)));
+  return (feeRate < networkFee.minFeeRate ? networkFee.minFeeRate : feeRate > networkFee.maxFeeRate ? networkFee.maxFeeRate : feeRate).toString();
+}
+
+// Checks a fee rate chosen by the payout coordinator against the policy at height.
+function validateFeeRate(feeRate, height) {
+  if (typeof feeRate !== 'string' || !/^[0-9]+$/.test(feeRate)) {
+    throw new Error('feeRate missing or invalid');
+  }
+  const networkFee = getFeePolicy(height).networkFee;
+  if (!networkFee.estimateFee && BigInt(feeRate) !== networkFee.feeRate) {
+    throw new Error('feeRate does not match fee policy');
+  }
+  if (BigInt(feeRate) < networkFee.minFeeRate || BigInt(feeRate) > networkFee.maxFeeRate) {
+    throw new Error('feeRate outside of fee policy bounds');
+  }
+}
+
+// Network fee for a transaction of size bytes at feeRate satoshis per kB, rounded up.
+function networkFeeAmount(size, feeRate) {
+  return (BigInt(size) * BigInt(feeRate) + 999n) / 1000n;
+}
@@ -0,0 +1,163 @@
+"use strict";
+
+const fs = require('fs');
+
+// Structured log of the authority daemon (see settings/log.json).
+//
+// Every entry is a line of JSON, { time, level, message, ...fields }, where fields commonly
+// include the requestId and route of the request being served. Entries at or above the configured
+// level are appended to the log file, which is rotated once it exceeds maxBytes, keeping maxFiles
+// older files as <path>.1 (newest) to <path>.<maxFiles>. All entries are echoed to the console.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_QUERY_LIMIT = 1000;
+
+let settings = null;
+let size = 0;
+
+module.exports = {
+  load,
+  debug,
+  info,
+  warn,
+  error,
+  query
+};
+
+function load(logSettings) {
+  if (!LEVELS.includes(logSettings.level)) {
+    throw new Error(`Invalid log level ${logSettings.level}`);
+  }
+  if (!Number.isInteger(logSettings.maxBytes) || logSettings.maxBytes <= 0) {
+    throw new Error('Invalid log maxBytes');
+  }
+  if (!Number.isInteger(logSettings.maxFiles) || logSettings.maxFiles < 0) {
+    throw new Error('Invalid log maxFiles');
+  }
+  settings = logSettings;
+  size = fs.existsSync(settings.path) ? fs.statSync(settings.path).size : 0;
+}
+
+function debug(message, fields) {
+  write('debug', message, fields);
+}
+
+function info(message, fields) {
+  write('info', message, fields);
+}
+
+function warn(message, fields) {
+  write('warn', message, fields);
+}
+
+function error(message, fields) {
+  write('error', message, fields);
+}
+
+function getFilePath(index) {
+  return index === 0 ? settings.path : `${settings.path}.${index}`;
+}
+
+function rotate() {
+  if (fs.existsSync(getFilePath(settings.maxFiles))) {
+    fs.unlinkSync(getFilePath(settings.maxFiles));
+  }
+  for (let i = settings.maxFiles - 1; i >= 0; i--) {
+    if (fs.existsSync(getFilePath(i))) {
+      fs.renameSync(getFilePath(i), getFilePath(i + 1));
+    }
+  }
+  size = 0;
+}
+
+function write(level, message, fields) {
+  const entry = { time: new Date().toISOString(), level: level, message: message };
+  for (const key of Object.keys(fields === undefined ? {} : fields)) {
+    // Errors are logged with their stack; anything else thrown is logged as is.
+    entry[key] = fields[key] instanceof Error ? fields[key].stack : fields[key];
+  }
+
+  console.log(`[${entry.time}] ${level.toUpperCase()} ${message}` + (entry.error === undefined ? '' : `\n${entry.error}`));
+
+  if (settings === null || LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) {
+    return;
+  }
+  const line = JSON.stringify(entry) + '\n';
+  if (size > 0 && size + Buffer.byteLength(line) > settings.maxBytes) {
+    rotate();
+  }
+  fs.appendFileSync(settings.path, line);
+  size += Buffer.byteLength(line);
+}
+
+function parseTime(x, name) {
+  const time = typeof x === 'number' ? x : Date.parse(x);
+  if (!Number.isFinite(time)) {
+    throw new Error(`${name} invalid`);
+  }
+  return time;
+}
+
+// Entries matching filters, newest first:
+//   from, to: time range, as milliseconds since epoch or date strings.
+//   level: lowest level to include.
+//   route: route of the request, e.g. /approvePayouts.
+//   requestId: request ID, as shared by all nodes serving the same client request.
+//   search: case-insensitive text anywhere in the entry.
+//   offset, limit: pagination, with at most MAX_QUERY_LIMIT entries per page.
+function query(filters) {
+  const from = filters.from === undefined ? null : parseTime(filters.from, 'from');
+  const to = filters.to === undefined ? null : parseTime(filters.to, 'to');
+  if (filters.level !== undefined && !LEVELS.includes(filters.level)) {
+    throw new Error('level invalid');
+  }
+  const minLevel = filters.level === undefined ? 0 : LEVELS.indexOf(filters.level);
+  const search = filters.search === undefined ? null : String(filters.search).toLowerCase();
+  const offset = filters.offset === undefined ? 0 : filters.offset;
+  const limit = filters.limit === undefined ? 100 : filters.limit;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset invalid');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+    throw new Error('limit invalid');
+  }
+
+  const entries = [];
+  let skipped = 0;
+  for (let i = 0; i <= settings.maxFiles && entries.length <= limit; i++) {
+    if (!fs.existsSync(getFilePath(i))) {
+      continue;
+    }
+    const lines = fs.readFileSync(getFilePath(i), 'utf8').split('\n').reverse();
+    for (const line of lines) {
+      if (entries.length > limit) {
+        break;
+      }
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        continue; // Blank lines, and free-form lines from before structured logging.
+      }
+      if (entry === null || typeof entry !== 'object' || typeof entry.time !== 'string') {
+        continue;
+      }
+      const time = Date.parse(entry.time);
+      if ((from !== null && time < from) || (to !== null && time > to)
+        || LEVELS.indexOf(entry.level) < minLevel
+        || (filters.route !== undefined && entry.route !== filters.route)
+        || (filters.requestId !== undefined && entry.requestId !== filters.requestId)
+        || (search !== null && !line.toLowerCase().includes(search))) {
+        continue;
+      }
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      entries.push(entry);
+    }
+  }
+
+  // One extra entry is collected only to tell whether there are more.
+  return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+}
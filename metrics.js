@@ -0,0 +1,151 @@
+"use strict";
+
+const client = require('prom-client');
+
+// Prometheus metrics of the authority daemon, served at /metrics.
+//
+// Request and RPC metrics are recorded as they happen. Gauges of node state are set by the
+// daemon before each scrape, from the same figures as /stats. Amounts are exported in DINGO.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register: register, prefix: 'wdingo_' });
+
+const httpRequests = new client.Counter({
+  name: 'wdingo_http_requests_total',
+  help: 'HTTP requests, by route, method and status',
+  labelNames: ['route', 'method', 'status'],
+  registers: [register]
+});
+const httpRequestDuration = new client.Histogram({
+  name: 'wdingo_http_request_duration_seconds',
+  help: 'HTTP request latency, by route and method',
+  labelNames: ['route', 'method'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+const handlerErrors = new client.Counter({
+  name: 'wdingo_handler_errors_total',
+  help: 'Errors thrown by route handlers, by route',
+  labelNames: ['route'],
+  registers: [register]
+});
+const rpcDuration = new client.Histogram({
+  name: 'wdingo_rpc_duration_seconds',
+  help: 'RPC latency, by service (dingod or bsc) and method',
+  labelNames: ['service', 'method'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+const rpcFailures = new client.Counter({
+  name: 'wdingo_rpc_failures_total',
+  help: 'Failed RPCs, by service (dingod or bsc) and method',
+  labelNames: ['service', 'method'],
+  registers: [register]
+});
+const dingoHeight = new client.Gauge({
+  name: 'wdingo_dingo_height',
+  help: 'Dingo chain height of the local dingod (blocks and headers) and the highest of its peers (peers)',
+  labelNames: ['source'],
+  registers: [register]
+});
+const dingoPeers = new client.Gauge({
+  name: 'wdingo_dingo_peers',
+  help: 'Peers connected to the local dingod',
+  registers: [register]
+});
+const pendingPayouts = new client.Gauge({
+  name: 'wdingo_pending_payouts_dingo',
+  help: 'Total of pending payouts, by type',
+  labelNames: ['type'],
+  registers: [register]
+});
+const pendingPayoutCount = new client.Gauge({
+  name: 'wdingo_pending_payouts',
+  help: 'Number of pending payouts, by type',
+  labelNames: ['type'],
+  registers: [register]
+});
+const utxoBalance = new client.Gauge({
+  name: 'wdingo_utxo_balance_dingo',
+  help: 'Balance of change and deposit UTXOs, confirmed or not',
+  labelNames: ['address', 'confirmation'],
+  registers: [register]
+});
+const statsTime = new client.Gauge({
+  name: 'wdingo_stats_timestamp_seconds',
+  help: 'Time at which the node state gauges were last computed',
+  registers: [register]
+});
+
+module.exports = {
+  getContentType,
+  render,
+  observeRequest,
+  countHandlerError,
+  timeRpc,
+  setDingoHeights,
+  setPendingPayouts,
+  setStats
+};
+
+function toCoins(satoshi) {
+  return Number(BigInt(satoshi)) / 1e8;
+}
+
+function getContentType() {
+  return register.contentType;
+}
+
+function render() {
+  return register.metrics();
+}
+
+function observeRequest(route, method, status, seconds) {
+  httpRequests.inc({ route: route, method: method, status: status });
+  httpRequestDuration.observe({ route: route, method: method }, seconds);
+}
+
+function countHandlerError(route) {
+  handlerErrors.inc({ route: route });
+}
+
+// Resolves or rejects as promise does, recording its latency and failure.
+async function timeRpc(service, method, promise) {
+  const end = rpcDuration.startTimer({ service: service, method: method });
+  try {
+    return await promise;
+  } catch (err) {
+    rpcFailures.inc({ service: service, method: method });
+    throw err;
+  } finally {
+    end();
+  }
+}
+
+function setDingoHeights(blocks, headers, peerHeight, peerCount) {
+  dingoHeight.set({ source: 'blocks' }, blocks);
+  dingoHeight.set({ source: 'headers' }, headers);
+  dingoHeight.set({ source: 'peers' }, peerHeight);
+  dingoPeers.set(peerCount);
+}
+
+function setPendingPayouts(payouts) {
+  const totals = {
+    deposit_tax: payouts.depositTaxPayouts,
+    withdrawal: payouts.withdrawalPayouts,
+    withdrawal_tax: payouts.withdrawalTaxPayouts,
+    dust_credit: payouts.dustCredits
+  };
+  for (const type of Object.keys(totals)) {
+    pendingPayouts.set({ type: type }, toCoins(totals[type].reduce((a, b) => a + BigInt(b.amount), 0n)));
+    pendingPayoutCount.set({ type: type }, totals[type].length);
+  }
+}
+
+function setStats(stats) {
+  utxoBalance.set({ address: 'change', confirmation: 'confirmed' }, toCoins(stats.confirmedUtxos.totalChangeBalance));
+  utxoBalance.set({ address: 'deposits', confirmation: 'confirmed' }, toCoins(stats.confirmedUtxos.totalDepositsBalance));
+  utxoBalance.set({ address: 'change', confirmation: 'unconfirmed' }, toCoins(stats.unconfirmedUtxos.totalChangeBalance));
+  utxoBalance.set({ address: 'deposits', confirmation: 'unconfirmed' }, toCoins(stats.unconfirmedUtxos.totalDepositsBalance));
+  statsTime.set(stats.time / 1000);
+}
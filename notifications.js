@@ -0,0 +1,207 @@
+"use strict";
+
+const crypto = require('crypto');
+const dns = require('dns');
+const got = require('got');
+const net = require('net');
+const smartContract = require('./smartContract.js');
+
+// Notifications of deposit and withdrawal progress (see settings/notifications.json).
+//
+// A subscription follows a mint address (MINT) or a burn address (BURN), and delivers either to a
+// WEBHOOK, which receives each event as a signed message by HTTPS POST, or to an EMAIL address, via
+// the configured email relay. The daemon keeps the state of the address last notified to each
+// subscription, and queues an event in the outbox for every change:
+//   DEPOSIT_SEEN: more Dingocoins were received by the deposit address, confirmed or not.
+//   DEPOSIT_CONFIRMED: more Dingocoins reached depositConfirmations, and can be minted.
+//   WITHDRAWAL_APPROVED: a withdrawal was approved in a payout batch.
+//   WITHDRAWAL_PAID: the payout transaction of a withdrawal was broadcasted.
+//
+// Amounts are in satoshis.
+
+let settings = null;
+
+module.exports = {
+  load,
+  isEnabled,
+  getMaxSubscriptionsPerAddress,
+  getMaxSubscriptions,
+  validateSubscription,
+  createUnsubscribeToken,
+  computeEvents,
+  deliver,
+  getRetryTime,
+  getMaxAttempts
+};
+
+const ADDRESS_TYPES = ['MINT', 'BURN'];
+const KINDS = ['WEBHOOK', 'EMAIL'];
+
+// Webhooks may not target the node itself or its private network.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function load(notificationSettings) {
+  if (!Number.isInteger(notificationSettings.maxAttempts) || notificationSettings.maxAttempts < 1) {
+    throw new Error('Invalid notification maxAttempts');
+  }
+  if (!(notificationSettings.initialBackoffSeconds > 0) || !(notificationSettings.maxBackoffSeconds >= notificationSettings.initialBackoffSeconds)) {
+    throw new Error('Invalid notification backoff');
+  }
+  if (!Number.isInteger(notificationSettings.maxSubscriptions) || notificationSettings.maxSubscriptions < 0) {
+    throw new Error('Invalid notification maxSubscriptions');
+  }
+  settings = notificationSettings;
+}
+
+function isEnabled() {
+  return settings.enabled === true;
+}
+
+function getMaxSubscriptionsPerAddress() {
+  return settings.maxSubscriptionsPerAddress;
+}
+
+function getMaxSubscriptions() {
+  return settings.maxSubscriptions;
+}
+
+function getMaxAttempts() {
+  return settings.maxAttempts;
+}
+
+// Throws unless every address which the hostname of url resolves to is public.
+async function validateWebhookHost(url) {
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses = null;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (err) {
+    throw new Error('target host not found');
+  }
+  if (addresses.some((x) => BLOCKED_ADDRESSES.check(x.address, x.family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new Error('target must be a public host');
+  }
+}
+
+async function validateSubscription(address, addressType, kind, target) {
+  if (!smartContract.isAddress(address)) {
+    throw new Error('address missing or invalid');
+  }
+  if (!ADDRESS_TYPES.includes(addressType)) {
+    throw new Error('addressType missing or invalid');
+  }
+  if (!KINDS.includes(kind)) {
+    throw new Error('kind missing or invalid');
+  }
+  if (typeof target !== 'string' || target.length > 512) {
+    throw new Error('target missing or invalid');
+  }
+  if (kind === 'WEBHOOK') {
+    let url = null;
+    try {
+      url = new URL(target);
+    } catch (err) {
+      throw new Error('target is not a valid URL');
+    }
+    if (url.protocol !== 'https:') {
+      throw new Error('target must be an HTTPS URL');
+    }
+    await validateWebhookHost(url);
+  } else {
+    if (settings.emailRelay.url === null || settings.emailRelay.url === undefined) {
+      throw new Error('Email notifications not supported by this node');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target)) {
+      throw new Error('target is not a valid email address');
+    }
+  }
+}
+
+function createUnsubscribeToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// The eventId is derived from the type, the address and the idFields of the event, so that every
+// authority node reports the same state change with the same eventId, and subscribers can tell
+// copies apart from new events. Payout batch ids differ between nodes, so they are left out.
+function createEvent(type, subscription, fields, idFields) {
+  const id = [type, subscription.addressType, subscription.address].concat(idFields.map((x) => fields[x]));
+  return Object.assign({
+    eventId: crypto.createHash('sha256').update(JSON.stringify(id)).digest('hex').substring(0, 32),
+    type: type,
+    address: subscription.address,
+    time: Date.now()
+  }, fields);
+}
+
+// Events leading from the state last notified to the subscription to the current state.
+//   MINT state: { depositAddress, seenAmount, confirmedAmount, depositedAmount }, where
+//     depositedAmount is the confirmed amount after tax, as reported by /queryMintBalance.
+//   BURN state: { withdrawals: { [burnIndex]: { status, approvedAmount, payoutBatchId, payoutTxid } } },
+//     with status SUBMITTED, APPROVED or PAID.
+function computeEvents(subscription, state) {
+  const previous = subscription.state;
+  const events = [];
+  if (subscription.addressType === 'MINT') {
+    if (BigInt(state.seenAmount) > BigInt(previous.seenAmount)) {
+      events.push(createEvent('DEPOSIT_SEEN', subscription, {
+        depositAddress: state.depositAddress,
+        amount: (BigInt(state.seenAmount) - BigInt(previous.seenAmount)).toString(),
+        seenAmount: state.seenAmount
+      }, ['depositAddress', 'seenAmount']));
+    }
+    if (BigInt(state.confirmedAmount) > BigInt(previous.confirmedAmount)) {
+      events.push(createEvent('DEPOSIT_CONFIRMED', subscription, {
+        depositAddress: state.depositAddress,
+        amount: (BigInt(state.confirmedAmount) - BigInt(previous.confirmedAmount)).toString(),
+        confirmedAmount: state.confirmedAmount,
+        depositedAmount: state.depositedAmount
+      }, ['depositAddress', 'confirmedAmount']));
+    }
+  } else {
+    for (const burnIndex of Object.keys(state.withdrawals)) {
+      const w = state.withdrawals[burnIndex];
+      const p = previous.withdrawals[burnIndex] === undefined ? { status: 'SUBMITTED' } : previous.withdrawals[burnIndex];
+      // A reverted payout batch takes a withdrawal back to SUBMITTED, so that it is notified again once re-approved.
+      if (w.status !== 'SUBMITTED' && (p.status === 'SUBMITTED' || p.payoutBatchId !== w.payoutBatchId)) {
+        events.push(createEvent('WITHDRAWAL_APPROVED', subscription, {
+          burnIndex: parseInt(burnIndex),
+          approvedAmount: w.approvedAmount,
+          payoutBatchId: w.payoutBatchId
+        }, ['burnIndex', 'approvedAmount']));
+      }
+      if (w.status === 'PAID' && (p.status !== 'PAID' || p.payoutTxid !== w.payoutTxid)) {
+        events.push(createEvent('WITHDRAWAL_PAID', subscription, {
+          burnIndex: parseInt(burnIndex),
+          approvedAmount: w.approvedAmount,
+          payoutTxid: w.payoutTxid
+        }, ['burnIndex', 'payoutTxid']));
+      }
+    }
+  }
+  return events;
+}
+
+// Resolves once the target has accepted the message; throws otherwise.
+async function deliver(kind, target, message) {
+  if (kind === 'WEBHOOK') {
+    // Checked again, as the host may resolve differently since subscribing.
+    await validateWebhookHost(new URL(target));
+    await got.post(target, { json: message, timeout: { request: settings.requestTimeoutMs } });
+  } else {
+    await got.post(settings.emailRelay.url, { json: { email: target, message: message }, timeout: { request: settings.requestTimeoutMs } });
+  }
+}
+
+// Exponential backoff after the given number of failed attempts.
+function getRetryTime(attempts) {
+  const backoffSeconds = Math.min(settings.initialBackoffSeconds * Math.pow(2, attempts - 1), settings.maxBackoffSeconds);
+  return Date.now() + backoffSeconds * 1000;
+}
@@ -0,0 +1,51 @@
+"use strict";
+
+// Proof of reserves: whether the wDingocoin supply on BSC is fully backed by Dingocoins held by
+// the authority multisig.
+//
+// Holdings are the confirmed UTXOs of the change address and of the deposit addresses, as in
+// /stats, together with the change of payout transactions which are broadcasted but whose change
+// is not yet confirmed. Out of the holdings, the following are owed to others than wDingocoin
+// holders, and set aside:
+//   pendingWithdrawals: burns which are submitted but not yet paid.
+//   unpaidTax: tax approved in payout transactions which are signed but not yet broadcasted.
+//   dustCredits: dust credits carried forward to later payouts.
+// The remaining reserves back the totalSupply of wDingocoins, and any surplus consists of
+// deposits which are not yet minted and tax which is not yet approved.
+//
+// All amounts are in satoshis, as strings.
+
+module.exports = {
+  computeReserves
+};
+
+function sum(amounts) {
+  return amounts.reduce((a, b) => a + BigInt(b), 0n);
+}
+
+function computeReserves(totalSupply, holdings, liabilities) {
+  const totalHoldings = sum([holdings.changeBalance, holdings.depositsBalance, holdings.unconfirmedPayoutChange]);
+  const totalLiabilities = sum([liabilities.pendingWithdrawals, liabilities.unpaidTax, liabilities.dustCredits]);
+  const reserves = totalHoldings - totalLiabilities;
+  const surplus = reserves - BigInt(totalSupply);
+  return {
+    totalSupply: totalSupply.toString(),
+    holdings: {
+      changeBalance: holdings.changeBalance.toString(),
+      depositsBalance: holdings.depositsBalance.toString(),
+      unconfirmedPayoutChange: holdings.unconfirmedPayoutChange.toString(),
+      total: totalHoldings.toString()
+    },
+    liabilities: {
+      pendingWithdrawals: liabilities.pendingWithdrawals.toString(),
+      unpaidTax: liabilities.unpaidTax.toString(),
+      dustCredits: liabilities.dustCredits.toString(),
+      total: totalLiabilities.toString()
+    },
+    reserves: reserves.toString(),
+    surplus: surplus.toString(),
+    // Reserves per wDingocoin in basis points, or null while nothing is minted.
+    coverageBps: BigInt(totalSupply) === 0n ? null : (reserves * 10000n / BigInt(totalSupply)).toString(),
+    backed: surplus >= 0n
+  };
+}
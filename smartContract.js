@@ -2,6 +2,7 @@
 
 const Web3 = require('web3');
 const Cache = require('async-disk-cache');
+const metrics = require('./metrics.js');
 
 const cache = new Cache('wdingocoin-bsc-burn');
 let web3 = null;
@@ -23,12 +24,22 @@ module.exports = {
   getAuthorityAddresses,
   getAuthorityThreshold,
   getMinBurnAmount,
+  getTotalSupply,
+  getConfigurationNonce,
   signConfigure,
+  configure,
   getMintNonce,
   getMintHistory,
   signMintTransaction,
+  mint,
+  burn,
   getBurnHistory,
-  getBurnHistoryMultiple
+  getBurnHistoryMultiple,
+  getBlockNumber,
+  getBlockHash,
+  getBlockTimestamp,
+  getBurnEvents,
+  getBurnCount
 };
 
 function isSpecified(x) {
@@ -93,6 +104,21 @@ function isAddress(address) {
 
 function loadProvider(provider) {
   web3 = new Web3(provider);
+  // Record the latency and failures of every BSC RPC.
+  const send = web3.currentProvider.send.bind(web3.currentProvider);
+  web3.currentProvider.send = (payload, callback) => {
+    const method = Array.isArray(payload) ? 'batch' : payload.method;
+    metrics.timeRpc('bsc', method, new Promise((resolve, reject) => {
+      send(payload, (err, result) => {
+        if (err || (result && result.error)) {
+          reject(err || result.error);
+        } else {
+          resolve();
+        }
+        callback(err, result);
+      });
+    })).catch(() => {});
+  };
 }
 
 function loadContract(contractAbi, contractAddress) {
@@ -107,6 +133,18 @@ function getAccountAddress() {
   return account.address;
 }
 
+async function sendTransaction(method) {
+  const transaction = {
+    from: account.address,
+    to: contract.options.address,
+    data: method.encodeABI(),
+    gas: await method.estimateGas({ from: account.address }),
+    gasPrice: await web3.eth.getGasPrice()
+  };
+  const signedTransaction = await account.signTransaction(transaction);
+  return web3.eth.sendSignedTransaction(signedTransaction.rawTransaction);
+}
+
 function sign(message) {
   return web3.eth.accounts.sign(message, account.privateKey);
 }
@@ -127,6 +165,14 @@ function getMinBurnAmount() {
   return contract.methods.minBurnAmount().call();
 }
 
+function getTotalSupply() {
+  return contract.methods.totalSupply().call();
+}
+
+function getConfigurationNonce() {
+  return contract.methods.configurationNonce().call();
+}
+
 function signConfigure(chainId, nonce, newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount) {
   const encoded = web3.eth.abi.encodeParameters(
     ['uint256', 'uint256', 'address[]', 'uint8', 'uint256'],
@@ -135,6 +181,10 @@ function signConfigure(chainId, nonce, newAuthorityAddresses, newAuthorityThresh
   return web3.eth.accounts.sign(web3.utils.keccak256(encoded), account.privateKey);
 }
 
+function configure(newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount, signV, signR, signS) {
+  return sendTransaction(contract.methods.configure(newAuthorityAddresses, newAuthorityThreshold, newMinBurnAmount, signV, signR, signS));
+}
+
 function getMintNonce(address) {
   return contract.methods.mintNonce(address).call();
 }
@@ -152,11 +202,19 @@ function signMintTransaction(chainId, mintAddress, nonce, depositAddress, amount
   return web3.eth.accounts.sign(web3.utils.keccak256(encoded), account.privateKey);
 }
 
+function mint(depositAddress, amount, signV, signR, signS) {
+  return sendTransaction(contract.methods.mint(depositAddress, amount, signV, signR, signS));
+}
+
+function burn(amount, destination) {
+  return sendTransaction(contract.methods.burn(amount, destination));
+}
+
 async function getBurnHistory(burnAddress, burnIndex) {
   if (burnIndex === undefined) {
     const burnHistory = await contract.methods.burnHistory(burnAddress).call();
     for (const i in burnHistory["0"]) {
-      await cache.set(`${burnAddress}|${burnIndex}`, JSON.stringify({ burnDestination: burnHistory["0"][i], burnAmount: burnHistory["1"][i] }));
+      await cache.set(`${burnAddress}|${i}`, JSON.stringify({ burnDestination: burnHistory["0"][i], burnAmount: burnHistory["1"][i] }));
     }
     return burnHistory["0"].map((x, i) => {
       return { burnDestination: x, burnAmount: burnHistory["1"][i] };
@@ -179,3 +237,32 @@ async function getBurnHistoryMultiple(burnAddresses, burnIndexes) {
   }
   return result;
 }
+
+function getBlockNumber() {
+  return web3.eth.getBlockNumber();
+}
+
+async function getBlockHash(blockNumber) {
+  return (await web3.eth.getBlock(blockNumber)).hash;
+}
+
+async function getBlockTimestamp(blockNumber) {
+  return parseInt((await web3.eth.getBlock(blockNumber)).timestamp);
+}
+
+// Burns show up as transfers to the zero address.
+async function getBurnEvents(fromBlock, toBlock) {
+  const events = await contract.getPastEvents('Transfer', {
+    filter: { to: '0x0000000000000000000000000000000000000000' },
+    fromBlock: fromBlock,
+    toBlock: toBlock
+  });
+  return events.map((x) => {
+    return { burnAddress: x.returnValues.from, burnAmount: x.returnValues.value, blockNumber: x.blockNumber, transactionHash: x.transactionHash };
+  });
+}
+
+// Number of burns of burnAddress as of blockNumber.
+async function getBurnCount(burnAddress, blockNumber) {
+  return (await contract.methods.burnHistory(burnAddress).call({}, blockNumber))["0"].length;
+}
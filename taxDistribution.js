@@ -0,0 +1,70 @@
+"use strict";
+
+// Distribution of taxes among the tax payees (see taxPayees in settings/dingo.json), each with an
+// integer weight, e.g. a percentage. Every payee receives its share of the tax rounded down, and
+// the remainder is handed out one satoshi at a time by largest remainder, ties broken by address,
+// so that every node arrives at the same distribution.
+
+let taxPayees = null;
+
+module.exports = {
+  load,
+  getTaxPayees,
+  getTaxPayeeAddresses,
+  distributeTax
+};
+
+function load(taxPayeesSettings) {
+  if (!Array.isArray(taxPayeesSettings) || taxPayeesSettings.length === 0) {
+    throw new Error('Tax payees missing');
+  }
+  for (const x of taxPayeesSettings) {
+    if (typeof x.address !== 'string' || x.address === '') {
+      throw new Error('Tax payee address missing or invalid');
+    }
+    if (!Number.isInteger(x.weight) || x.weight <= 0) {
+      throw new Error(`Invalid weight ${x.weight} for tax payee ${x.address}`);
+    }
+  }
+  if (new Set(taxPayeesSettings.map((x) => x.address)).size !== taxPayeesSettings.length) {
+    throw new Error('Tax payees contain duplicate address');
+  }
+  taxPayees = taxPayeesSettings.map((x) => { return { address: x.address, weight: x.weight }; });
+}
+
+function getTaxPayees() {
+  return taxPayees;
+}
+
+function getTaxPayeeAddresses() {
+  return taxPayees.map((x) => x.address);
+}
+
+// Returns [{ address, amount }] in the order of the tax payees, with amounts summing to amount.
+function distributeTax(amount) {
+  const totalWeight = taxPayees.reduce((a, b) => a + BigInt(b.weight), 0n);
+  const shares = taxPayees.map((x) => {
+    return {
+      address: x.address,
+      amount: BigInt(amount) * BigInt(x.weight) / totalWeight,
+      remainder: BigInt(amount) * BigInt(x.weight) % totalWeight
+    };
+  });
+
+  let remaining = BigInt(amount) - shares.reduce((a, b) => a + b.amount, 0n);
+  const byRemainder = shares.slice().sort((a, b) => {
+    if (a.remainder !== b.remainder) {
+      return a.remainder > b.remainder ? -1 : 1;
+    }
+    return a.address < b.address ? -1 : a.address > b.address ? 1 : 0;
+  });
+  for (const x of byRemainder) {
+    if (remaining === 0n) {
+      break;
+    }
+    x.amount += 1n;
+    remaining -= 1n;
+  }
+
+  return shares.map((x) => { return { address: x.address, amount: x.amount.toString() }; });
+}
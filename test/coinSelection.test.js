@@ -0,0 +1,124 @@
+"use strict";
+
+const assert = require('assert');
+const coinSelection = require('../coinSelection.js');
+const feePolicy = require('../feePolicy.js');
+
+const CHANGE_ADDRESS = 'DChange';
+const TAX_PAYEE_ADDRESSES = ['DTax'];
+
+function utxo(txid, vout, address, amount) {
+  return { txid: txid, vout: vout, address: address, amount: amount };
+}
+
+function ids(unspent) {
+  return unspent.map((x) => `${x.txid}:${x.vout}`);
+}
+
+describe('coinSelection', () => {
+  const settings = {
+    maxInputs: 4,
+    consolidationThreshold: '5',
+    maxConsolidationInputs: 2,
+    maxOutputs: 200,
+    maxTransactionSize: 100000
+  };
+
+  describe('selectUnspent', () => {
+    const unspent = [
+      utxo('a', 0, CHANGE_ADDRESS, 100),
+      utxo('b', 0, 'DDeposit1', 50),
+      utxo('c', 0, 'DDeposit2', 1),
+      utxo('d', 0, 'DDeposit3', 2),
+      utxo('e', 0, CHANGE_ADDRESS, 0.5),
+      utxo('f', 0, 'DDeposit4', 4)
+    ];
+
+    it('covers the amount with the largest UTXOs, then consolidates the smallest deposits', () => {
+      // 100 + 50 cover 120; c and d are consolidated, but not the smaller change e.
+      assert.deepStrictEqual(ids(coinSelection.selectUnspent(unspent, '12000000000', CHANGE_ADDRESS, settings)), ['c:0', 'd:0', 'b:0', 'a:0']);
+    });
+
+    it('does not depend on the order of the candidates', () => {
+      const shuffled = [unspent[3], unspent[5], unspent[0], unspent[4], unspent[2], unspent[1]];
+      assert.deepStrictEqual(
+        coinSelection.selectUnspent(shuffled, '12000000000', CHANGE_ADDRESS, settings),
+        coinSelection.selectUnspent(unspent, '12000000000', CHANGE_ADDRESS, settings));
+    });
+
+    it('breaks ties in amount by txid and vout', () => {
+      const ties = [utxo('b', 1, 'D1', 10), utxo('a', 1, 'D1', 10), utxo('b', 0, 'D1', 10)];
+      assert.deepStrictEqual(ids(coinSelection.selectUnspent(ties, '1500000000', CHANGE_ADDRESS, settings)), ['b:0', 'b:1']);
+    });
+
+    it('consolidates no more than maxInputs inputs in total', () => {
+      const limited = Object.assign({}, settings, { maxInputs: 3 });
+      assert.deepStrictEqual(ids(coinSelection.selectUnspent(unspent, '12000000000', CHANGE_ADDRESS, limited)), ['c:0', 'b:0', 'a:0']);
+    });
+
+    it('throws when the amount cannot be covered within maxInputs', () => {
+      const limited = Object.assign({}, settings, { maxInputs: 1 });
+      assert.throws(() => coinSelection.selectUnspent(unspent, '12000000000', CHANGE_ADDRESS, limited), /within 1 inputs/);
+    });
+
+    it('throws on insufficient funds', () => {
+      const unlimited = Object.assign({}, settings, { maxInputs: unspent.length });
+      assert.throws(() => coinSelection.selectUnspent(unspent, '100000000000', CHANGE_ADDRESS, unlimited), /Insufficient funds/);
+    });
+  });
+
+  describe('splitPayouts', () => {
+    before(() => {
+      feePolicy.load([{
+        fromHeight: 0,
+        deposit: { flatFee: '10', rateBps: 100, minimum: '10', cap: null },
+        withdrawal: { flatFee: '10', rateBps: 100, minimum: '10', cap: null },
+        dustThreshold: '1',
+        networkFee: { feeRate: '0.00001', estimateFee: false, estimateBlocks: 6, minFeeRate: '0', maxFeeRate: '10' }
+      }]);
+    });
+
+    // Withdrawals of amount DINGO each to their own destination, with 1 DINGO of tax.
+    function createPayouts(amounts) {
+      return {
+        depositTaxPayouts: [],
+        withdrawalPayouts: amounts.map((x, i) => { return { burnAddress: '0xBurn', burnIndex: i, burnDestination: `DDestination${i}`, amount: `${x}00000000` }; }),
+        withdrawalTaxPayouts: amounts.map((x, i) => { return { burnAddress: '0xBurn', burnIndex: i, burnDestination: `DDestination${i}`, amount: '100000000' }; }),
+        dustCredits: [],
+        feeHeight: 0,
+        feeRate: '1000'
+      };
+    }
+    const unspent = Array.from(Array(10).keys()).map((i) => utxo(`u${i}`, 0, CHANGE_ADDRESS, 100));
+
+    it('keeps payouts within one transaction where they fit', () => {
+      const parts = coinSelection.splitPayouts(createPayouts([50, 50, 50]), unspent, TAX_PAYEE_ADDRESSES, CHANGE_ADDRESS, 2, 3, settings);
+      assert.strictEqual(parts.length, 1);
+      assert.strictEqual(parts[0].payouts.withdrawalPayouts.length, 3);
+    });
+
+    it('splits payouts beyond maxOutputs, each part with the UTXOs left by earlier parts', () => {
+      // The tax payee and the change take 2 of the 4 outputs, leaving 2 withdrawals per transaction.
+      const limited = Object.assign({}, settings, { maxOutputs: 4 });
+      const parts = coinSelection.splitPayouts(createPayouts([50, 50, 50, 50, 50]), unspent, TAX_PAYEE_ADDRESSES, CHANGE_ADDRESS, 2, 3, limited);
+      assert.deepStrictEqual(parts.map((x) => x.payouts.withdrawalPayouts.map((y) => y.burnIndex)), [[0, 1], [2, 3], [4]]);
+      assert.deepStrictEqual(parts.map((x) => x.payouts.withdrawalTaxPayouts.map((y) => y.burnIndex)), [[0, 1], [2, 3], [4]]);
+      assert.deepStrictEqual(parts.map((x) => x.unspent.length), [10, 8, 6]);
+      assert.deepStrictEqual(ids(parts[1].unspent), ids(unspent.filter((x) => !['u8', 'u9'].includes(x.txid))));
+    });
+
+    it('splits payouts beyond maxTransactionSize', () => {
+      const size = coinSelection.estimatePayoutSize([{ burnDestination: 'D0' }], [], [unspent[0]], TAX_PAYEE_ADDRESSES, CHANGE_ADDRESS, 2, 3);
+      const limited = Object.assign({}, settings, { maxTransactionSize: size });
+      const parts = coinSelection.splitPayouts(createPayouts([50, 50]), unspent, TAX_PAYEE_ADDRESSES, CHANGE_ADDRESS, 2, 3, limited);
+      assert.strictEqual(parts.length, 2);
+    });
+
+    it('leaves a payout which fits nowhere in a part of its own', () => {
+      const parts = coinSelection.splitPayouts(createPayouts([50, 5000, 50]), unspent, TAX_PAYEE_ADDRESSES, CHANGE_ADDRESS, 2, 3, settings);
+      assert.deepStrictEqual(parts.map((x) => x.payouts.withdrawalPayouts.map((y) => y.burnIndex)), [[0], [1], [2]]);
+      // The failing part selects nothing, so the last part has the same candidates.
+      assert.deepStrictEqual(ids(parts[2].unspent), ids(parts[1].unspent));
+    });
+  });
+});
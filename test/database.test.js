@@ -0,0 +1,98 @@
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const database = require('../database.js');
+
+// Runs against the in-memory SQLite backend, which shares its queries with the other backends.
+describe('database', () => {
+  before(async () => {
+    await database.load({ backend: 'memory' });
+  });
+
+  after(async () => {
+    await database.close();
+  });
+
+  it('migrates to the latest schema version', async () => {
+    const migrations = fs.readdirSync(path.join(__dirname, '..', 'database', 'migrations')).filter((x) => x.endsWith('.sql'));
+    assert.strictEqual(database.getSchemaVersion(), migrations.length);
+    assert.strictEqual(await database.checkRead(), migrations.length);
+    await database.checkReadWrite();
+  });
+
+  it('registers withdrawals as unapproved', async () => {
+    await database.registerWithdrawal('0xBurn1', 0);
+    assert.deepStrictEqual(await database.getWithdrawal('0xBurn1', 0), {
+      burnAddress: '0xBurn1', burnIndex: 0, approvedAmount: '0', approvedTax: '0', payoutBatchId: null
+    });
+    assert.deepStrictEqual((await database.getUnapprovedWithdrawals()).map((x) => `${x.burnAddress}|${x.burnIndex}`), ['0xBurn1|0']);
+  });
+
+  it('counts a withdrawal approved without tax as approved', async () => {
+    await database.registerWithdrawal('0xBurn1', 1);
+    const payoutBatchId = await database.createPayoutBatch({ status: 'PROPOSED', inputs: 'inputsZeroTax', unspent: [], vouts: {}, approvalChain: null, txid: null });
+    await database.updateWithdrawals([{ burnAddress: '0xBurn1', burnIndex: 1, approvedAmount: '100000000', approvedTax: '0', payoutBatchId: payoutBatchId }]);
+    assert.deepStrictEqual((await database.getUnapprovedWithdrawals()).map((x) => `${x.burnAddress}|${x.burnIndex}`), ['0xBurn1|0']);
+  });
+
+  it('rolls back a transaction which throws', async () => {
+    await assert.rejects(database.transaction(async () => {
+      await database.registerWithdrawal('0xBurn2', 0);
+      throw new Error('Abort');
+    }), /Abort/);
+    assert.strictEqual(await database.getWithdrawal('0xBurn2', 0), null);
+  });
+
+  it('restores a dump', async () => {
+    const dump = await database.dump();
+    await database.registerWithdrawal('0xBurn3', 0);
+    await database.restore(JSON.parse(JSON.stringify(dump)));
+    assert.strictEqual(await database.getWithdrawal('0xBurn3', 0), null);
+    assert.notStrictEqual(await database.getWithdrawal('0xBurn1', 0), null);
+    assert.deepStrictEqual(await database.dump(), dump);
+  });
+
+  describe('dust credits', () => {
+    const createPayoutBatch = () => {
+      return database.createPayoutBatch({ status: 'SIGNED', inputs: `inputs${Math.random()}`, unspent: [], vouts: {}, approvalChain: null, txid: null });
+    };
+
+    it('carries credits forward and pays them out', async () => {
+      const first = await createPayoutBatch();
+      await database.transaction(() => database.registerPayoutBatchDustCredits(first, [{ address: 'DDust', amount: '30' }]));
+      const second = await createPayoutBatch();
+      await database.transaction(() => database.registerPayoutBatchDustCredits(second, [{ address: 'DDust', amount: '20' }]));
+      assert.deepStrictEqual(await database.getDustCredits(), [{ address: 'DDust', amount: '50' }]);
+
+      const third = await createPayoutBatch();
+      await database.transaction(() => database.registerPayoutBatchDustCredits(third, [{ address: 'DDust', amount: '-50' }]));
+      assert.deepStrictEqual(await database.getDustCredits(), []);
+
+      // Reverting the payout restores the credits it paid out.
+      await database.revertPayoutBatch(third);
+      assert.deepStrictEqual(await database.getDustCredits(), [{ address: 'DDust', amount: '50' }]);
+      assert.strictEqual((await database.getPayoutBatch(third)).status, 'REVERTED');
+    });
+
+    it('never lets a credit become negative', async () => {
+      const batch = await createPayoutBatch();
+      await assert.rejects(
+        database.transaction(() => database.registerPayoutBatchDustCredits(batch, [{ address: 'DDust', amount: '-51' }])),
+        /would become negative/);
+      assert.deepStrictEqual(await database.getDustCredits(), [{ address: 'DDust', amount: '50' }]);
+      assert.deepStrictEqual(await database.getPayoutBatchDustCredits(batch), []);
+    });
+  });
+
+  it('counts notification subscriptions per address and in total', async () => {
+    for (const address of ['0xA', '0xA', '0xB']) {
+      await database.createNotificationSubscription({
+        address: address, addressType: 'BURN', kind: 'WEBHOOK', target: 'https://example.com/hook', unsubscribeToken: 'token', state: { withdrawals: {} }
+      });
+    }
+    assert.strictEqual(await database.countNotificationSubscriptions('0xA'), 2);
+    assert.strictEqual(await database.countNotificationSubscriptions(), 3);
+  });
+});
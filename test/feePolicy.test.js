@@ -0,0 +1,117 @@
+"use strict";
+
+const assert = require('assert');
+const feePolicy = require('../feePolicy.js');
+
+// Two schedule entries, listed out of order: the defaults from height 0, and from height 1000 a
+// lower fee with a higher minimum and a cap.
+const networkFee = { feeRate: '1', estimateFee: false, estimateBlocks: 6, minFeeRate: '0.1', maxFeeRate: '10' };
+const schedule = [
+  {
+    fromHeight: 1000,
+    deposit: { flatFee: '5', rateBps: 50, minimum: '20', cap: '50' },
+    withdrawal: { flatFee: '5', rateBps: 50, minimum: '20', cap: '50' },
+    dustThreshold: '2',
+    networkFee: networkFee
+  },
+  {
+    fromHeight: 0,
+    deposit: { flatFee: '10', rateBps: 100, minimum: '10', cap: null },
+    withdrawal: { flatFee: '10', rateBps: 100, minimum: '10', cap: null },
+    dustThreshold: '1',
+    networkFee: networkFee
+  }
+];
+
+describe('feePolicy', () => {
+  beforeEach(() => {
+    feePolicy.load(schedule);
+  });
+
+  describe('load', () => {
+    it('sorts the schedule by height', () => {
+      assert.deepStrictEqual(feePolicy.getSchedule().map((x) => x.fromHeight), [0, 1000]);
+    });
+
+    it('requires the schedule to start from height 0', () => {
+      assert.throws(() => feePolicy.load([schedule[0]]), /must start from height 0/);
+    });
+
+    it('rejects rates above 10000 basis points', () => {
+      const invalid = Object.assign({}, schedule[1], { deposit: Object.assign({}, schedule[1].deposit, { rateBps: 10001 }) });
+      assert.throws(() => feePolicy.load([invalid]), /Invalid deposit rateBps/);
+    });
+
+    it('rejects a minimum below the flat fee', () => {
+      const invalid = Object.assign({}, schedule[1], { withdrawal: Object.assign({}, schedule[1].withdrawal, { minimum: '5' }) });
+      assert.throws(() => feePolicy.load([invalid]), /withdrawal minimum below flatFee/);
+    });
+  });
+
+  describe('getFeePolicy', () => {
+    it('applies each entry from its height on', () => {
+      assert.strictEqual(feePolicy.getFeePolicy(0).fromHeight, 0);
+      assert.strictEqual(feePolicy.getFeePolicy(999).fromHeight, 0);
+      assert.strictEqual(feePolicy.getFeePolicy(1000).fromHeight, 1000);
+      assert.strictEqual(feePolicy.getFeePolicy(1000000).fromHeight, 1000);
+    });
+
+    it('switches the minimum and dust threshold with the schedule', () => {
+      assert.strictEqual(feePolicy.meetsTax('deposit', '1500000000', 999), true);
+      assert.strictEqual(feePolicy.meetsTax('deposit', '1500000000', 1000), false);
+      assert.strictEqual(feePolicy.getDustThreshold(999), 100000000n);
+      assert.strictEqual(feePolicy.getDustThreshold(1000), 200000000n);
+    });
+  });
+
+  describe('taxAmount', () => {
+    it('charges the flat fee and the rate on the remainder', () => {
+      // 10 + (1000 - 10) * 1% = 19.9 DINGO.
+      assert.strictEqual(feePolicy.taxAmount('deposit', '100000000000', 0), '1990000000');
+      // 5 + (1000 - 5) * 0.5% = 9.975 DINGO.
+      assert.strictEqual(feePolicy.taxAmount('withdrawal', '100000000000', 1000), '997500000');
+    });
+
+    it('rounds the rate down to the satoshi', () => {
+      assert.strictEqual(feePolicy.taxAmount('deposit', '1000000099', 0), '1000000000');
+      assert.strictEqual(feePolicy.taxAmount('deposit', '1000000100', 0), '1000000001');
+    });
+
+    it('caps the tax', () => {
+      assert.strictEqual(feePolicy.taxAmount('deposit', '2000000000000', 1000), '5000000000');
+    });
+
+    it('throws below the minimum', () => {
+      assert.throws(() => feePolicy.taxAmount('withdrawal', '999999999', 0), /fails to meet tax/);
+    });
+
+    it('allows a withdrawal without tax', () => {
+      const untaxed = Object.assign({}, schedule[1], { withdrawal: { flatFee: '0', rateBps: 0, minimum: '0', cap: null } });
+      feePolicy.load([untaxed]);
+      assert.strictEqual(feePolicy.taxAmount('withdrawal', '100000000', 0), '0');
+      assert.strictEqual(feePolicy.amountAfterTax('withdrawal', '100000000', 0), '100000000');
+    });
+
+    it('leaves the amount after tax', () => {
+      assert.strictEqual(feePolicy.amountAfterTax('withdrawal', '100000000000', 0), '98010000000');
+    });
+  });
+
+  describe('network fee', () => {
+    it('rounds the fee for the transaction size up to the satoshi', () => {
+      assert.strictEqual(feePolicy.networkFeeAmount(250, '100000000'), 25000000n);
+      assert.strictEqual(feePolicy.networkFeeAmount(251, '1000'), 251n);
+      assert.strictEqual(feePolicy.networkFeeAmount(1, '1'), 1n);
+    });
+
+    it('chooses the fixed fee rate without estimateFee', async () => {
+      assert.strictEqual(await feePolicy.chooseFeeRate(0), '100000000');
+    });
+
+    it('accepts only the fixed fee rate without estimateFee', () => {
+      feePolicy.validateFeeRate('100000000', 0);
+      assert.throws(() => feePolicy.validateFeeRate('100000001', 0), /does not match fee policy/);
+      assert.throws(() => feePolicy.validateFeeRate('1.5', 0), /feeRate missing or invalid/);
+    });
+  });
+});
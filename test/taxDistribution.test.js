@@ -0,0 +1,53 @@
+"use strict";
+
+const assert = require('assert');
+const taxDistribution = require('../taxDistribution.js');
+
+describe('taxDistribution', () => {
+  const taxPayees = [
+    { address: 'DA', weight: 1 },
+    { address: 'DB', weight: 2 },
+    { address: 'DC', weight: 1 }
+  ];
+
+  beforeEach(() => {
+    taxDistribution.load(taxPayees);
+  });
+
+  it('splits the tax by weight', () => {
+    assert.deepStrictEqual(taxDistribution.distributeTax('100'), [
+      { address: 'DA', amount: '25' },
+      { address: 'DB', amount: '50' },
+      { address: 'DC', amount: '25' }
+    ]);
+  });
+
+  it('hands out the remainder by largest remainder, ties broken by address', () => {
+    // Shares of 10 are 2.5, 5 and 2.5: DA and DC tie, and DA comes first by address.
+    assert.deepStrictEqual(taxDistribution.distributeTax('10').map((x) => x.amount), ['3', '5', '2']);
+    // Shares of 7 are 1.75, 3.5 and 1.75: DA and DC have the largest remainder.
+    assert.deepStrictEqual(taxDistribution.distributeTax('7').map((x) => x.amount), ['2', '3', '2']);
+  });
+
+  it('does not depend on the order of the tax payees', () => {
+    taxDistribution.load(taxPayees.slice().reverse());
+    assert.deepStrictEqual(taxDistribution.distributeTax('10'), [
+      { address: 'DC', amount: '2' },
+      { address: 'DB', amount: '5' },
+      { address: 'DA', amount: '3' }
+    ]);
+  });
+
+  it('always distributes the whole tax', () => {
+    for (const amount of ['0', '1', '2', '3', '999', '123456789012345']) {
+      const total = taxDistribution.distributeTax(amount).reduce((a, b) => a + BigInt(b.amount), 0n);
+      assert.strictEqual(total.toString(), amount);
+    }
+  });
+
+  it('rejects duplicate addresses and invalid weights', () => {
+    assert.throws(() => taxDistribution.load([{ address: 'DA', weight: 1 }, { address: 'DA', weight: 1 }]), /duplicate address/);
+    assert.throws(() => taxDistribution.load([{ address: 'DA', weight: 0 }]), /Invalid weight/);
+    assert.throws(() => taxDistribution.load([{ address: 'DA', weight: 1.5 }]), /Invalid weight/);
+  });
+});